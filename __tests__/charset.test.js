@@ -0,0 +1,51 @@
+import * as cheerio from 'cheerio'
+import { detectCharset, decodeHtml, declareUtf8 } from '../src/charset.js'
+
+const cp1251 = Buffer.from([0xCF, 0xF0, 0xE8, 0xE2, 0xE5, 0xF2]) // "Привет"
+
+describe('detectCharset', () => {
+  it('should prefer the byte order mark', () => {
+    const bytes = Buffer.from([0xFF, 0xFE, 0x3C, 0x00])
+    expect(detectCharset(bytes, 'text/html; charset=windows-1251')).toBe('utf-16le')
+  })
+
+  it('should use the Content-Type header before <meta>', () => {
+    const bytes = Buffer.from('<meta charset="iso-8859-1">')
+    expect(detectCharset(bytes, 'text/html; charset="Shift_JIS"')).toBe('shift_jis')
+    expect(detectCharset(bytes, 'text/html')).toBe('windows-1252')
+  })
+
+  it('should read both forms of <meta> declarations', () => {
+    const httpEquiv = Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=cp1251">')
+    expect(detectCharset(httpEquiv)).toBe('windows-1251')
+  })
+
+  it('should fall back to UTF-8 for missing or unknown charsets', () => {
+    expect(detectCharset(Buffer.from('<p>hi</p>'))).toBe('utf-8')
+    expect(detectCharset(Buffer.from('<p>hi</p>'), 'text/html; charset=klingon')).toBe('utf-8')
+  })
+})
+
+describe('decodeHtml', () => {
+  it('should decode legacy encodings', () => {
+    const { html, charset } = decodeHtml(cp1251, 'text/html; charset=windows-1251')
+    expect(charset).toBe('windows-1251')
+    expect(html).toBe('Привет')
+  })
+})
+
+describe('declareUtf8', () => {
+  it('should rewrite existing declarations', () => {
+    const $ = cheerio.load('<html><head><meta charset="windows-1251"><meta http-equiv="content-type" content="text/html; charset=windows-1251"></head></html>')
+    declareUtf8($)
+    expect($('meta[charset]').attr('charset')).toBe('utf-8')
+    expect($('meta[http-equiv]').attr('content')).toBe('text/html; charset=utf-8')
+    expect($('meta')).toHaveLength(2)
+  })
+
+  it('should add a declaration when there is none', () => {
+    const $ = cheerio.load('<html><head><title>t</title></head></html>')
+    declareUtf8($)
+    expect($('head').children().first().attr('charset')).toBe('utf-8')
+  })
+})
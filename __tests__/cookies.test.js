@@ -0,0 +1,69 @@
+import { parseSetCookie, parseNetscapeCookies, createCookieJar } from '../src/cookies.js'
+
+describe('parseSetCookie', () => {
+  it('should default to a host-only cookie for the request directory', () => {
+    expect(parseSetCookie('sid=abc; HttpOnly', 'https://example.com/account/login')).toMatchObject({
+      name: 'sid', value: 'abc', domain: 'example.com', hostOnly: true, path: '/account', secure: false, expires: null,
+    })
+  })
+
+  it('should read Domain, Path, Secure and Max-Age', () => {
+    const before = Date.now()
+    const cookie = parseSetCookie('a=b=c; Domain=.Example.com; Path=/; Secure; Max-Age=60', 'https://www.example.com/')
+    expect(cookie).toMatchObject({
+      value: 'b=c', domain: 'example.com', hostOnly: false, path: '/', secure: true,
+    })
+    expect(cookie.expires).toBeGreaterThanOrEqual(before + 60000)
+  })
+
+  it('should refuse cookies for unrelated domains', () => {
+    expect(parseSetCookie('a=b; Domain=other.com', 'https://example.com/')).toBeNull()
+    expect(parseSetCookie('invalid', 'https://example.com/')).toBeNull()
+  })
+
+  it('should refuse cookies for public suffixes', () => {
+    expect(parseSetCookie('s=1; Domain=com', 'https://example.com/')).toBeNull()
+    expect(parseSetCookie('s=1; Domain=.co.uk', 'https://shop.example.co.uk/')).toBeNull()
+    expect(parseSetCookie('s=1; Domain=github.io', 'https://user.github.io/')).toBeNull()
+    expect(parseSetCookie('s=1; Domain=example.co.uk', 'https://shop.example.co.uk/'))
+      .toMatchObject({ domain: 'example.co.uk', hostOnly: false })
+  })
+})
+
+describe('parseNetscapeCookies', () => {
+  it('should parse cookies.txt lines', () => {
+    const text = [
+      '# Netscape HTTP Cookie File',
+      '.example.com\tTRUE\t/\tFALSE\t0\ttheme\tdark',
+      '#HttpOnly_example.com\tFALSE\t/app\tTRUE\t2000000000\tsid\tabc',
+      '',
+    ].join('\n')
+    expect(parseNetscapeCookies(text)).toEqual([
+      {
+        name: 'theme', value: 'dark', domain: 'example.com', hostOnly: false, path: '/', secure: false, expires: null,
+      },
+      {
+        name: 'sid', value: 'abc', domain: 'example.com', hostOnly: true, path: '/app', secure: true, expires: 2000000000000,
+      },
+    ])
+  })
+})
+
+describe('createCookieJar', () => {
+  it('should only send cookies where they belong', () => {
+    const jar = createCookieJar()
+    jar.setCookies(['sid=1; Path=/', 'site=2; Domain=example.com; Path=/', 'secret=3; Secure; Path=/'], 'https://example.com/')
+
+    expect(jar.getCookieHeader('https://example.com/page')).toBe('sid=1; site=2; secret=3')
+    expect(jar.getCookieHeader('https://static.example.com/a.png')).toBe('site=2')
+    expect(jar.getCookieHeader('http://example.com/')).toBe('sid=1; site=2')
+    expect(jar.getCookieHeader('https://other.com/')).toBeNull()
+  })
+
+  it('should forget cookies the server expires', () => {
+    const jar = createCookieJar()
+    jar.setCookies('sid=1; Path=/', 'https://example.com/')
+    jar.setCookies('sid=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'https://example.com/')
+    expect(jar.getCookieHeader('https://example.com/')).toBeNull()
+  })
+})
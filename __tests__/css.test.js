@@ -0,0 +1,36 @@
+import { extractCssReferences, rewriteCssReferences } from '../src/css.js'
+
+describe('css', () => {
+  const css = `@import "base.css";
+@import url('theme.css');
+body { background: url(/img/bg.png) no-repeat; }
+.icon { background-image: url( "icons/star.svg" ); }
+.inline { background: url(data:image/png;base64,AAAA); }
+@font-face { src: url('../fonts/a.woff2') format('woff2'), url(#svg-font); }`
+
+  it('should extract imports and assets, skipping data and fragment urls', () => {
+    expect(extractCssReferences(css)).toEqual([
+      { ref: 'base.css', kind: 'import' },
+      { ref: 'theme.css', kind: 'import' },
+      { ref: '/img/bg.png', kind: 'asset' },
+      { ref: 'icons/star.svg', kind: 'asset' },
+      { ref: '../fonts/a.woff2', kind: 'asset' },
+    ])
+  })
+
+  it('should rewrite mapped references and keep the original quoting', () => {
+    const mapping = new Map([
+      ['base.css', 'example-com-base.css'],
+      ['theme.css', 'example-com-theme.css'],
+      ['/img/bg.png', 'example-com-img-bg.png'],
+      ['../fonts/a.woff2', 'example-com-fonts-a.woff2'],
+    ])
+
+    expect(rewriteCssReferences(css, mapping)).toBe(`@import "example-com-base.css";
+@import url('example-com-theme.css');
+body { background: url(example-com-img-bg.png) no-repeat; }
+.icon { background-image: url( "icons/star.svg" ); }
+.inline { background: url(data:image/png;base64,AAAA); }
+@font-face { src: url('example-com-fonts-a.woff2') format('woff2'), url(#svg-font); }`)
+  })
+})
@@ -0,0 +1,55 @@
+import { getResourceKind, createResourceFilter } from '../src/filters.js'
+
+describe('getResourceKind', () => {
+  it('should tell the kind from the extension', () => {
+    expect(getResourceKind('https://example.com/a.png')).toBe('images')
+    expect(getResourceKind('https://example.com/a.css', 'images')).toBe('css')
+    expect(getResourceKind('https://example.com/a.mjs')).toBe('js')
+    expect(getResourceKind('https://example.com/a.webm')).toBe('media')
+    expect(getResourceKind('https://example.com/a.woff2')).toBe('fonts')
+    expect(getResourceKind('https://example.com/site.webmanifest')).toBe('other')
+  })
+
+  it('should fall back to the hint for unknown extensions', () => {
+    expect(getResourceKind('https://example.com/avatar', 'images')).toBe('images')
+    expect(getResourceKind('https://example.com/avatar')).toBe('other')
+  })
+})
+
+describe('createResourceFilter', () => {
+  const url = 'https://example.com/assets/big-video.mp4'
+
+  it('should let everything through by default', () => {
+    const filter = createResourceFilter()
+    expect(filter.checkUrl(url, 'media')).toBeNull()
+    expect(filter.checkType('video/mp4')).toBeNull()
+    expect(filter.maxSize).toBeUndefined()
+  })
+
+  it('should filter by kind', () => {
+    expect(createResourceFilter({ excludeKinds: ['media'] }).checkUrl(url, 'media')).toBe('media are filtered out')
+    expect(createResourceFilter({ includeKinds: ['images', 'css'] }).checkUrl(url, 'media')).toBe('media are filtered out')
+    expect(createResourceFilter({ includeKinds: ['media'] }).checkUrl(url, 'media')).toBeNull()
+  })
+
+  it('should filter URLs by glob and regular expression', () => {
+    expect(createResourceFilter({ excludeUrls: ['*/assets/*.mp4'] }).checkUrl(url, 'media')).toBe('URL is excluded')
+    expect(createResourceFilter({ excludeUrls: ['/VIDEO/i'] }).checkUrl(url, 'media')).toBe('URL is excluded')
+    expect(createResourceFilter({ excludeUrls: ['*.png'] }).checkUrl(url, 'media')).toBeNull()
+    expect(createResourceFilter({ includeUrls: ['https://cdn.*'] }).checkUrl(url, 'media')).toBe('URL is not included')
+  })
+
+  it('should filter MIME types', () => {
+    const filter = createResourceFilter({ includeTypes: ['image/*', 'text/css'], excludeTypes: ['image/gif'] })
+    expect(filter.checkType('image/png')).toBeNull()
+    expect(filter.checkType('text/css; charset=utf-8')).toBeNull()
+    expect(filter.checkType('image/gif')).toBe('image/gif is excluded')
+    expect(filter.checkType('video/mp4')).toBe('video/mp4 is not included')
+    expect(filter.checkType(null)).toBe('unknown type is not included')
+  })
+
+  it('should reject unknown kinds and invalid sizes', () => {
+    expect(() => createResourceFilter({ includeKinds: ['videos'] })).toThrow('Unknown resource kind: videos')
+    expect(() => createResourceFilter({ maxSize: -1 })).toThrow('Invalid maximum size: -1')
+  })
+})
@@ -0,0 +1,23 @@
+import { escapeRegExp, compileGlob, globToSource } from '../src/glob.js'
+
+describe('glob', () => {
+  it('should escape every regular expression character', () => {
+    const special = '.*+?^${}()|[]\\'
+    expect(new RegExp(`^${escapeRegExp(special)}$`).test(special)).toBe(true)
+  })
+
+  it('should match any run of characters with a star', () => {
+    const glob = compileGlob('*.cdn.example.net')
+    expect(glob.test('img.cdn.example.net')).toBe(true)
+    expect(glob.test('cdnxexample.net')).toBe(false)
+    expect(compileGlob('a+b(c)').test('a+b(c)')).toBe(true)
+  })
+
+  it('should let callers choose what star and question mark stand for', () => {
+    expect(compileGlob('image/*', { anyRun: '[^/]*' }).test('image/png')).toBe(true)
+    expect(compileGlob('image/*', { anyRun: '[^/]*' }).test('image/png/x')).toBe(false)
+    expect(compileGlob('/a?c', { singleChar: '.' }).test('/abc')).toBe(true)
+    expect(compileGlob('/a?c').test('/abc')).toBe(false)
+    expect(globToSource('/*.php')).toBe('/.*\\.php')
+  })
+})
@@ -0,0 +1,41 @@
+import createHostPolicy from '../src/hosts.js'
+
+const pageUrl = 'https://www.example.com/docs'
+
+describe('createHostPolicy', () => {
+  it('should only allow the page host by default', () => {
+    const isAllowed = createHostPolicy()
+    expect(isAllowed('https://www.example.com/a.png', pageUrl)).toBe(true)
+    expect(isAllowed('http://www.example.com:8080/a.png', pageUrl)).toBe(true)
+    expect(isAllowed('https://static.example.com/a.png', pageUrl)).toBe(false)
+    expect(isAllowed('https://cdn.net/a.png', pageUrl)).toBe(false)
+  })
+
+  it('should allow subdomains and the apex domain with includeSubdomains', () => {
+    const isAllowed = createHostPolicy({ includeSubdomains: true })
+    expect(isAllowed('https://example.com/a.png', pageUrl)).toBe(true)
+    expect(isAllowed('https://static.example.com/a.png', pageUrl)).toBe(true)
+    expect(isAllowed('https://badexample.com/a.png', pageUrl)).toBe(false)
+  })
+
+  it('should match allowed host patterns', () => {
+    const isAllowed = createHostPolicy({ allowHosts: ['*.cdn.net', 'Fonts.Example.org'] })
+    expect(isAllowed('https://eu.cdn.net/a.png', pageUrl)).toBe(true)
+    expect(isAllowed('https://cdn.net/a.png', pageUrl)).toBe(false)
+    expect(isAllowed('https://fonts.example.org/a.woff2', pageUrl)).toBe(true)
+    expect(isAllowed('https://fontsxexample.org/a.woff2', pageUrl)).toBe(false)
+  })
+
+  it('should let the deny list win', () => {
+    const isAllowed = createHostPolicy({ allHosts: true, denyHosts: ['*.tracker.io', 'www.example.com'] })
+    expect(isAllowed('https://anything.org/a.png', pageUrl)).toBe(true)
+    expect(isAllowed('https://ads.tracker.io/pixel.gif', pageUrl)).toBe(false)
+    expect(isAllowed('https://www.example.com/a.png', pageUrl)).toBe(false)
+  })
+
+  it('should never allow non-HTTP URLs', () => {
+    const isAllowed = createHostPolicy({ allHosts: true })
+    expect(isAllowed('data:image/png;base64,AAAA', pageUrl)).toBe(false)
+    expect(isAllowed('mailto:someone@example.com', pageUrl)).toBe(false)
+  })
+})
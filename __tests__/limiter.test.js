@@ -0,0 +1,95 @@
+import createLimiter from '../src/limiter.js'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('limiter', () => {
+  const track = () => {
+    const stats = { active: 0, peak: 0, hostPeak: new Map(), hostActive: new Map() }
+    const task = (host, ms = 20) => async () => {
+      stats.active += 1
+      stats.hostActive.set(host, (stats.hostActive.get(host) ?? 0) + 1)
+      stats.peak = Math.max(stats.peak, stats.active)
+      stats.hostPeak.set(host, Math.max(stats.hostPeak.get(host) ?? 0, stats.hostActive.get(host)))
+      await sleep(ms)
+      stats.active -= 1
+      stats.hostActive.set(host, stats.hostActive.get(host) - 1)
+      return host
+    }
+    return { stats, task }
+  }
+
+  it('should cap in-flight tasks globally and per host', async () => {
+    const limiter = createLimiter({ concurrency: 3, hostConcurrency: 2 })
+    const { stats, task } = track()
+    const hosts = ['a.com', 'a.com', 'a.com', 'a.com', 'b.com', 'b.com', 'b.com']
+
+    const results = await Promise.all(hosts.map(host => limiter.schedule(`https://${host}/x`, task(host))))
+
+    expect(results).toEqual(hosts)
+    expect(stats.peak).toBe(3)
+    expect(stats.hostPeak.get('a.com')).toBe(2)
+    expect(stats.hostPeak.get('b.com')).toBe(2)
+  })
+
+  it('should space out requests to the same host', async () => {
+    const limiter = createLimiter({ hostDelay: 50 })
+    const starts = []
+    const task = () => async () => {
+      starts.push(Date.now())
+    }
+
+    await Promise.all([1, 2, 3].map(() => limiter.schedule('https://a.com/', task())))
+
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45)
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(45)
+  })
+
+  it('should space out one host by its own delay', async () => {
+    const limiter = createLimiter()
+    limiter.setHostDelay('https://a.com/robots.txt', 50)
+    const starts = new Map([['a.com', []], ['b.com', []]])
+    const task = host => async () => {
+      starts.get(host).push(Date.now())
+    }
+
+    await Promise.all(['a.com', 'a.com', 'b.com', 'b.com'].map(host => limiter.schedule(`https://${host}/`, task(host))))
+
+    const [firstA, secondA] = starts.get('a.com')
+    const [firstB, secondB] = starts.get('b.com')
+    expect(secondA - firstA).toBeGreaterThanOrEqual(45)
+    expect(secondB - firstB).toBeLessThan(45)
+  })
+
+  it('should free the slot of a paused task and give it back first', async () => {
+    const limiter = createLimiter({ concurrency: 1 })
+    const order = []
+
+    const paused = limiter.schedule('https://a.com/', async (pause) => {
+      order.push('first')
+      await pause(sleep(30))
+      order.push('resumed')
+    })
+    const queued = [1, 2].map(n => limiter.schedule('https://a.com/', async () => {
+      order.push(`queued ${n}`)
+      await sleep(50)
+    }))
+
+    await Promise.all([paused, ...queued])
+    expect(order).toEqual(['first', 'queued 1', 'resumed', 'queued 2'])
+  })
+
+  it('should pass task failures through and keep going', async () => {
+    const limiter = createLimiter({ concurrency: 1 })
+    const failing = limiter.schedule('https://a.com/', async () => {
+      throw new Error('boom')
+    })
+    const next = limiter.schedule('https://a.com/', async () => 'ok')
+
+    await expect(failing).rejects.toThrow('boom')
+    await expect(next).resolves.toBe('ok')
+  })
+
+  it('should reject a concurrency below one', () => {
+    expect(() => createLimiter({ concurrency: 0 })).toThrow('Invalid concurrency')
+  })
+})
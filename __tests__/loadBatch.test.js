@@ -0,0 +1,62 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+import { jest } from '@jest/globals'
+import nock from 'nock'
+
+// Every page but the first takes a while to clean up, as a slower disk would
+const staging = await import('../src/staging.js')
+let discards = 0
+const discardStaging = jest.fn(async (stagingDir) => {
+  discards += 1
+  if (discards > 1) {
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  return staging.discardStaging(stagingDir)
+})
+jest.unstable_mockModule('../src/staging.js', () => ({ ...staging, discardStaging }))
+const { loadBatch } = await import('../src/pageLoader.js')
+
+describe('loadBatch', () => {
+  let tmpDir
+
+  beforeAll(() => {
+    nock.disableNetConnect()
+  })
+
+  // Suites share Node's http module, so the interceptors must go too
+  afterAll(() => {
+    nock.enableNetConnect()
+    nock.restore()
+  })
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'page-loader-'))
+    discards = 0
+  })
+
+  afterEach(async () => {
+    nock.cleanAll()
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should remove the staged files of every page before an aborted batch rejects', async () => {
+    const controller = new AbortController()
+    const names = ['one', 'two', 'three']
+    const scope = nock('https://example.com')
+    for (const name of names) {
+      scope
+        .get(`/${name}`)
+        .reply(200, `<html><body><img src="/${name}.png"></body></html>`)
+        .get(`/${name}.png`)
+        .delay(1000)
+        .reply(200, 'png')
+    }
+
+    const promise = loadBatch(names.map(name => `https://example.com/${name}`), { output: tmpDir, signal: controller.signal })
+    setTimeout(() => controller.abort(), 100)
+    await expect(promise).rejects.toThrow('This operation was aborted')
+    expect(discardStaging).toHaveBeenCalledTimes(3)
+    expect(await fs.readdir(tmpDir)).toEqual([])
+  })
+})
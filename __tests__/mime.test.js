@@ -0,0 +1,39 @@
+import { getExtensionForContent, getMimeType, sniffMimeType } from '../src/mime.js'
+
+describe('getExtensionForContent', () => {
+  it('should map the Content-Type to an extension', () => {
+    expect(getExtensionForContent('image/jpeg', '')).toBe('.jpg')
+    expect(getExtensionForContent('text/css; charset=utf-8', '')).toBe('.css')
+    expect(getExtensionForContent('application/javascript', '')).toBe('.js')
+    expect(getExtensionForContent('IMAGE/SVG+XML', '')).toBe('.svg')
+  })
+
+  it('should sniff the content when the type is missing or generic', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A])
+    expect(getExtensionForContent(undefined, png)).toBe('.png')
+    expect(getExtensionForContent('application/octet-stream', png)).toBe('.png')
+    expect(getExtensionForContent(undefined, '  <svg xmlns="http://www.w3.org/2000/svg"></svg>')).toBe('.svg')
+  })
+
+  it('should fall back to .bin for unknown content', () => {
+    expect(getExtensionForContent('application/x-unknown', 'data')).toBe('.bin')
+    expect(getExtensionForContent(undefined, 'data')).toBe('.bin')
+  })
+})
+
+describe('sniffMimeType', () => {
+  it('should recognize common signatures', () => {
+    expect(sniffMimeType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).toBe('image/jpeg')
+    expect(sniffMimeType('GIF89a')).toBe('image/gif')
+    expect(sniffMimeType('<!DOCTYPE html><html></html>')).toBe('text/html')
+    expect(sniffMimeType('plain text')).toBeNull()
+  })
+})
+
+describe('getMimeType', () => {
+  it('should prefer the server type and fall back to the extension', () => {
+    expect(getMimeType('https://example.com/a.png', 'image/webp')).toBe('image/webp')
+    expect(getMimeType('https://example.com/a.png', 'application/octet-stream')).toBe('image/png')
+    expect(getMimeType('https://example.com/a', undefined)).toBe('application/octet-stream')
+  })
+})
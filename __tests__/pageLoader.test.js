@@ -1,9 +1,12 @@
 import fs from 'node:fs/promises'
 import path from 'node:path'
 import os from 'node:os'
+import zlib from 'node:zlib'
+import { createHash } from 'node:crypto'
 import { fileURLToPath } from 'node:url'
 import nock from 'nock'
-import load from '../src/pageLoader.js'
+import * as cheerio from 'cheerio'
+import load, { loadBatch, readSitemap } from '../src/pageLoader.js'
 
 // Get __dirname in ES modules
 const __filename = fileURLToPath(import.meta.url)
@@ -29,9 +32,11 @@ describe('pageLoader', () => {
     nock.disableNetConnect()
   })
 
-  // Re-enable HTTP requests after all tests and restore environment
+  // Re-enable HTTP requests after all tests and restore environment;
+  // suites share Node's http module, so the interceptors must go too
   afterAll(() => {
     nock.enableNetConnect()
+    nock.restore()
     delete process.env.NODE_ENV
   })
 
@@ -258,4 +263,1126 @@ describe('pageLoader', () => {
       .rejects
       .toThrow('Directory not found')
   })
+
+  // Test 10: Recursive mirroring follows same-host links breadth-first
+  it('should mirror linked pages up to the requested depth', async () => {
+    const indexHtml = `<html><body>
+<a href="/docs/a">A</a>
+<a href="/docs/b#intro">B</a>
+<a href="https://external.com/page">External</a>
+</body></html>`
+    const pageAHtml = '<html><body><a href="/docs/b">B</a><a href="/docs/c">C</a></body></html>'
+    const pageBHtml = '<html><body><a href="/docs">Home</a></body></html>'
+
+    nock('https://example.com')
+      .get('/docs')
+      .reply(200, indexHtml)
+      .get('/docs/a')
+      .reply(200, pageAHtml)
+      .get('/docs/b')
+      .reply(200, pageBHtml)
+
+    const result = await load('https://example.com/docs', tmpDir, { depth: 1 })
+    expect(result).toBe(path.join(tmpDir, 'example-com-docs.html'))
+
+    const savedIndex = await fs.readFile(result, 'utf-8')
+    expect(savedIndex).toContain('href="example-com-docs-a.html"')
+    expect(savedIndex).toContain('href="example-com-docs-b.html#intro"')
+    expect(savedIndex).toContain('href="https://external.com/page"')
+
+    // Depth limit reached: links to pages that were not saved stay online
+    const savedA = await fs.readFile(path.join(tmpDir, 'example-com-docs-a.html'), 'utf-8')
+    expect(savedA).toContain('href="example-com-docs-b.html"')
+    expect(savedA).toContain('href="/docs/c"')
+
+    const savedB = await fs.readFile(path.join(tmpDir, 'example-com-docs-b.html'), 'utf-8')
+    expect(savedB).toContain('href="example-com-docs.html"')
+    expect(nock.isDone()).toBe(true)
+  })
+
+  // Test 11: Crawl stops at the page-count limit
+  it('should stop crawling at the page limit', async () => {
+    const indexHtml = '<html><body><a href="/a">A</a><a href="/b">B</a><a href="/c">C</a></body></html>'
+
+    nock('https://example.com')
+      .get('/')
+      .reply(200, indexHtml)
+      .get('/a')
+      .reply(200, '<html><body>A</body></html>')
+
+    await load('https://example.com/', tmpDir, { depth: 2, maxPages: 2 })
+
+    const files = await fs.readdir(tmpDir)
+    expect(files.sort()).toEqual(['example-com-a.html', 'example-com.html'])
+  })
+
+  // Test 12: Assets referenced from stylesheets are downloaded and rewritten
+  it('should download stylesheet assets and imports relative to the stylesheet', async () => {
+    const html = '<html><head><link rel="stylesheet" href="/assets/css/main.css" /></head><body></body></html>'
+    const mainCss = '@import "parts/fonts.css";\nbody { background: url(../img/bg.png); }\n.cdn { background: url(https://cdn.com/x.png); }'
+    const fontsCss = '@import url("../main.css");\n@font-face { src: url("/fonts/a.woff2"); }'
+
+    nock('https://example.com')
+      .get('/page')
+      .reply(200, html)
+      .get('/assets/css/main.css')
+      .reply(200, mainCss)
+      .get('/assets/css/parts/fonts.css')
+      .reply(200, fontsCss)
+      .get('/assets/img/bg.png')
+      .reply(200, Buffer.from('png'))
+      .get('/fonts/a.woff2')
+      .reply(200, Buffer.from('woff2'))
+
+    await load('https://example.com/page', tmpDir)
+
+    const resourcesDir = path.join(tmpDir, 'example-com-page_files')
+    const savedMain = await fs.readFile(path.join(resourcesDir, 'example-com-assets-css-main.css'), 'utf-8')
+    expect(savedMain).toContain('@import "example-com-assets-css-parts-fonts.css"')
+    expect(savedMain).toContain('url(example-com-assets-img-bg.png)')
+    expect(savedMain).toContain('url(https://cdn.com/x.png)')
+
+    const savedFonts = await fs.readFile(path.join(resourcesDir, 'example-com-assets-css-parts-fonts.css'), 'utf-8')
+    expect(savedFonts).toContain('@import url("example-com-assets-css-main.css")')
+    expect(savedFonts).toContain('url("example-com-fonts-a.woff2")')
+
+    await expect(fs.readFile(path.join(resourcesDir, 'example-com-fonts-a.woff2'), 'utf-8')).resolves.toBe('woff2')
+    expect(nock.isDone()).toBe(true)
+  })
+
+  // Test 13: Responsive images, media and icon links are captured
+  it('should download srcset, media, poster and icon resources', async () => {
+    const html = `<html><head>
+<link rel="icon" href="/favicon.ico">
+<link rel="manifest" href="/site.webmanifest">
+</head><body>
+<picture><source srcset="/img/hero.webp 1x, /img/hero@2x.webp 2x" type="image/webp"><img src="/img/hero.jpg" srcset="/img/hero.jpg 1x, https://cdn.com/hero@2x.jpg 2x"></picture>
+<video poster="/media/poster.jpg"><source src="/media/clip.mp4" type="video/mp4"><track src="/media/subs.vtt"></video>
+<audio src="/media/sound.mp3"></audio>
+</body></html>`
+
+    const scope = nock('https://example.com')
+      .get('/media')
+      .reply(200, html)
+    const resources = ['/favicon.ico', '/site.webmanifest', '/img/hero.webp', '/img/hero@2x.webp', '/img/hero.jpg',
+      '/media/poster.jpg', '/media/clip.mp4', '/media/subs.vtt', '/media/sound.mp3']
+    for (const resource of resources) {
+      scope.get(resource).reply(200, resource)
+    }
+
+    const result = await load('https://example.com/media', tmpDir)
+    const savedHtml = await fs.readFile(result, 'utf-8')
+
+    expect(savedHtml).toContain('srcset="example-com-media_files/example-com-img-hero.webp 1x, example-com-media_files/example-com-img-hero-2x.webp 2x"')
+    expect(savedHtml).toContain('srcset="example-com-media_files/example-com-img-hero.jpg 1x, https://cdn.com/hero@2x.jpg 2x"')
+    expect(savedHtml).toContain('poster="example-com-media_files/example-com-media-poster.jpg"')
+    expect(savedHtml).toContain('href="example-com-media_files/example-com-favicon.ico"')
+
+    const files = await fs.readdir(path.join(tmpDir, 'example-com-media_files'))
+    expect(files).toHaveLength(resources.length)
+    expect(scope.isDone()).toBe(true)
+  })
+
+  // Test 14: Attributes are rewritten on the parsed document, not by text search
+  it('should rewrite every matching attribute regardless of quoting', async () => {
+    const html = `<html><head>
+<link href='/app.css' rel=stylesheet>
+<link rel="stylesheet"
+      href=/app.css>
+</head><body>
+<p>Logo lives at /logo.png</p>
+<img src="/logo.png"><img alt="again" src='/logo.png'>
+<script>var logo = "/logo.png"</script>
+</body></html>`
+
+    const scope = nock('https://example.com')
+      .get('/quotes')
+      .reply(200, html)
+      .get('/app.css')
+      .reply(200, 'body {}')
+      .get('/logo.png')
+      .reply(200, Buffer.from('png'))
+
+    const result = await load('https://example.com/quotes', tmpDir)
+    const savedHtml = await fs.readFile(result, 'utf-8')
+    const $ = cheerio.load(savedHtml)
+
+    const hrefs = $('link').map((_, element) => $(element).attr('href')).get()
+    expect(hrefs).toEqual([
+      'example-com-quotes_files/example-com-app.css',
+      'example-com-quotes_files/example-com-app.css',
+    ])
+    const srcs = $('img').map((_, element) => $(element).attr('src')).get()
+    expect(srcs).toEqual([
+      'example-com-quotes_files/example-com-logo.png',
+      'example-com-quotes_files/example-com-logo.png',
+    ])
+    expect($('p').text()).toBe('Logo lives at /logo.png')
+    expect($('script').text()).toBe('var logo = "/logo.png"')
+    expect(scope.isDone()).toBe(true)
+  })
+
+  // Test 15: Transient failures are retried when retries are enabled
+  it('should retry flaky page and resource requests', async () => {
+    const scope = nock('https://example.com')
+      .get('/flaky')
+      .reply(503, 'Unavailable', { 'Retry-After': '0' })
+      .get('/flaky')
+      .reply(200, '<html><body><img src="/img.png"></body></html>')
+      .get('/img.png')
+      .reply(502, 'Bad Gateway')
+      .get('/img.png')
+      .reply(200, Buffer.from('png'))
+
+    const result = await load('https://example.com/flaky', tmpDir, { retries: 2, retryDelay: 1 })
+
+    const savedHtml = await fs.readFile(result, 'utf-8')
+    expect(savedHtml).toContain('example-com-flaky_files/example-com-img.png')
+    expect(scope.isDone()).toBe(true)
+  })
+
+  // Test 16: Keep-going mode saves the page and reports failed resources
+  it('should keep failed resources online and report them in keep-going mode', async () => {
+    const html = `<html><head><link rel="stylesheet" href="/style.css"></head><body>
+<img src="/missing.png"><img src="/logo.png">
+</body></html>`
+
+    nock('https://example.com')
+      .get('/partial')
+      .reply(200, html)
+      .get('/style.css')
+      .reply(200, 'body { background: url(/missing-bg.png); }')
+      .get('/missing-bg.png')
+      .reply(500, 'Internal Server Error')
+      .get('/missing.png')
+      .reply(404, 'Not Found')
+      .get('/logo.png')
+      .reply(200, Buffer.from('png'))
+
+    const failures = []
+    const result = await load('https://example.com/partial', tmpDir, {
+      keepGoing: true,
+      onError: failure => failures.push(failure),
+    })
+
+    const savedHtml = await fs.readFile(result, 'utf-8')
+    expect(savedHtml).toContain('src="https://example.com/missing.png"')
+    expect(savedHtml).toContain('src="example-com-partial_files/example-com-logo.png"')
+
+    const savedCss = await fs.readFile(path.join(tmpDir, 'example-com-partial_files', 'example-com-style.css'), 'utf-8')
+    expect(savedCss).toBe('body { background: url(https://example.com/missing-bg.png); }')
+
+    expect(failures.map(({ url: failedUrl }) => failedUrl).sort()).toEqual([
+      'https://example.com/missing-bg.png',
+      'https://example.com/missing.png',
+    ])
+    expect(failures.find(({ url: failedUrl }) => failedUrl.endsWith('missing.png')).error.message)
+      .toBe('Image not found (404): https://example.com/missing.png')
+  })
+
+  // Test 17: Single-file mode embeds every local resource into the page
+  it('should inline resources into one self-contained HTML file', async () => {
+    const html = `<html><head>
+<link rel="stylesheet" media="print" href="/style.css">
+<link rel="stylesheet" href="https://cdn.com/lib.css">
+</head><body>
+<img src="/logo.png">
+<script type="module" src="/app.js" integrity="sha384-abc"></script>
+</body></html>`
+
+    nock('https://example.com')
+      .get('/single')
+      .reply(200, html)
+      .get('/style.css')
+      .reply(200, '@font-face { src: url(/font.woff2); }', { 'Content-Type': 'text/css' })
+      .get('/font.woff2')
+      .reply(200, Buffer.from('woff2'))
+      .get('/logo.png')
+      .reply(200, Buffer.from('png'), { 'Content-Type': 'image/png' })
+      .get('/app.js')
+      .reply(200, 'document.write("</script>")', { 'Content-Type': 'text/javascript' })
+
+    const result = await load('https://example.com/single', tmpDir, { singleFile: true })
+    expect(await fs.readdir(tmpDir)).toEqual(['example-com-single.html'])
+
+    const $ = cheerio.load(await fs.readFile(result, 'utf-8'))
+    const fontUri = `data:font/woff2;base64,${Buffer.from('woff2').toString('base64')}`
+    expect($('style').attr('media')).toBe('print')
+    expect($('style').text()).toBe(`@font-face { src: url(${fontUri}); }`)
+    expect($('link').attr('href')).toBe('https://cdn.com/lib.css')
+    expect($('img').attr('src')).toBe(`data:image/png;base64,${Buffer.from('png').toString('base64')}`)
+    expect($('script').attr('src')).toBeUndefined()
+    expect($('script').attr('integrity')).toBeUndefined()
+    expect($('script').attr('type')).toBe('module')
+    expect($('script').text()).toBe('document.write("<\\/script>")')
+  })
+
+  // Test 18: WARC output records every HTTP exchange instead of rewriting the page
+  it('should write page and resource exchanges to a WARC archive', async () => {
+    const html = '<html><head><link rel="stylesheet" href="/style.css"></head><body><img src="/gone.png"></body></html>'
+
+    nock('https://example.com')
+      .get('/archive')
+      .reply(200, html, { 'Content-Type': 'text/html' })
+      .get('/style.css')
+      .reply(200, 'body { background: url(bg.png); }', { 'Content-Type': 'text/css' })
+      .get('/bg.png')
+      .reply(200, Buffer.from('png'))
+      .get('/gone.png')
+      .reply(404, 'Not Found')
+
+    const result = await load('https://example.com/archive', tmpDir, { format: 'warc', keepGoing: true })
+    expect(result).toBe(path.join(tmpDir, 'example-com-archive.warc'))
+    expect(await fs.readdir(tmpDir)).toEqual(['example-com-archive.warc'])
+
+    const warc = await fs.readFile(result, 'latin1')
+    const types = [...warc.matchAll(/^WARC-Type: (\w+)\r$/gm)].map(([, type]) => type)
+    expect(types[0]).toBe('warcinfo')
+    expect(types.filter(type => type === 'response')).toHaveLength(4)
+    expect(types.filter(type => type === 'request')).toHaveLength(4)
+
+    expect(warc).toContain('WARC-Target-URI: https://example.com/archive\r\n')
+    expect(warc).toContain(`HTTP/1.1 200 OK\r\ncontent-type: text/html\r\ncontent-length: ${html.length}\r\n\r\n${html}`)
+    expect(warc).toContain('GET /style.css HTTP/1.1\r\nHost: example.com\r\n')
+    expect(warc).toContain('HTTP/1.1 404 Not Found\r\n')
+    expect(warc).toContain('body { background: url(bg.png); }')
+  })
+
+  // Test 19: Compressed WARC archives are made of one gzip member per record
+  it('should gzip each WARC record for warc.gz output', async () => {
+    nock('https://example.com')
+      .get('/gz')
+      .reply(200, '<html><body>Hi</body></html>')
+
+    const result = await load('https://example.com/gz', tmpDir, { format: 'warc.gz' })
+    expect(result).toBe(path.join(tmpDir, 'example-com-gz.warc.gz'))
+
+    const warc = zlib.gunzipSync(await fs.readFile(result)).toString('utf-8')
+    expect(warc.startsWith('WARC/1.1\r\n')).toBe(true)
+    expect(warc).toContain('WARC-Filename: example-com-gz.warc.gz')
+    expect(warc).toContain('<html><body>Hi</body></html>')
+  })
+
+  // Test 20: Re-running into the same directory reuses the resource directory
+  it('should overwrite a previous capture of the same page', async () => {
+    const html = '<html><body><img src="/logo.png"></body></html>'
+    nock('https://example.com')
+      .get('/again')
+      .times(2)
+      .reply(200, html)
+      .get('/logo.png')
+      .times(2)
+      .reply(200, Buffer.from('png'))
+
+    await load('https://example.com/again', tmpDir)
+    const result = await load('https://example.com/again', tmpDir)
+
+    expect(await fs.readFile(result, 'utf-8')).toContain('example-com-again_files/example-com-logo.png')
+  })
+
+  // Test 21: Incremental mode sends validators and keeps unchanged files
+  it('should send conditional requests on incremental re-runs', async () => {
+    const html = '<html><head><link rel="stylesheet" href="/style.css"></head><body><img src="/logo.png"><img src="/photo.jpg"></body></html>'
+    const resourcesDir = path.join(tmpDir, 'example-com-nightly_files')
+
+    nock('https://example.com')
+      .get('/nightly')
+      .reply(200, html)
+      .get('/style.css')
+      .reply(200, 'body {}')
+      .get('/logo.png')
+      .reply(200, Buffer.from('logo-v1'), { ETag: '"logo-1"' })
+      .get('/photo.jpg')
+      .reply(200, Buffer.from('photo-v1'), { 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT' })
+
+    await load('https://example.com/nightly', tmpDir, { incremental: true })
+
+    const sidecar = JSON.parse(await fs.readFile(path.join(resourcesDir, '.page-loader.json'), 'utf-8'))
+    expect(sidecar.resources['https://example.com/logo.png']).toMatchObject({
+      fileName: 'example-com-logo.png',
+      etag: '"logo-1"',
+    })
+
+    const scope = nock('https://example.com')
+      .get('/nightly')
+      .reply(200, html)
+      .get('/style.css')
+      .reply(200, 'body {}')
+      .get('/logo.png')
+      .matchHeader('If-None-Match', '"logo-1"')
+      .reply(304)
+      .get('/photo.jpg')
+      .matchHeader('If-Modified-Since', 'Mon, 01 Jan 2024 00:00:00 GMT')
+      .reply(200, Buffer.from('photo-v2'), { 'Last-Modified': 'Tue, 02 Jan 2024 00:00:00 GMT' })
+
+    const result = await load('https://example.com/nightly', tmpDir, { incremental: true })
+
+    expect(scope.isDone()).toBe(true)
+    await expect(fs.readFile(path.join(resourcesDir, 'example-com-logo.png'), 'utf-8')).resolves.toBe('logo-v1')
+    await expect(fs.readFile(path.join(resourcesDir, 'example-com-photo.jpg'), 'utf-8')).resolves.toBe('photo-v2')
+    expect(await fs.readFile(result, 'utf-8')).toContain('example-com-nightly_files/example-com-logo.png')
+
+    const updated = JSON.parse(await fs.readFile(path.join(resourcesDir, '.page-loader.json'), 'utf-8'))
+    expect(updated.resources['https://example.com/photo.jpg'].lastModified).toBe('Tue, 02 Jan 2024 00:00:00 GMT')
+  })
+
+  // Test 22: Manifest lists every resource with its origin and checksum
+  it('should write and return a download manifest', async () => {
+    const html = '<html><head><link rel="stylesheet" href="css/site.css"></head><body><img src="/missing.png"></body></html>'
+    nock('https://example.com')
+      .get('/docs/')
+      .reply(200, html)
+      .get('/docs/css/site.css')
+      .reply(200, 'body { background: url(../bg.png); }', { 'Content-Type': 'text/css' })
+      .get('/docs/bg.png')
+      .reply(200, Buffer.from('png'), { 'Content-Type': 'image/png' })
+      .get('/missing.png')
+      .reply(404)
+
+    const { filepath, manifest, manifestPath } = await load('https://example.com/docs/', tmpDir, {
+      manifest: true,
+      keepGoing: true,
+    })
+
+    expect(filepath).toBe(path.join(tmpDir, 'example-com-docs.html'))
+    expect(manifestPath).toBe(path.join(tmpDir, 'example-com-docs.manifest.json'))
+    expect(JSON.parse(await fs.readFile(manifestPath, 'utf-8'))).toEqual(manifest)
+
+    expect(manifest.pages).toEqual([expect.objectContaining({
+      url: 'https://example.com/docs/',
+      localPath: 'example-com-docs.html',
+    })])
+
+    const byUrl = Object.fromEntries(manifest.resources.map(resource => [resource.url, resource]))
+    expect(byUrl['https://example.com/docs/bg.png']).toMatchObject({
+      originalUrl: '../bg.png',
+      page: 'https://example.com/docs/',
+      localPath: 'example-com-docs_files/example-com-docs-bg.png',
+      status: 200,
+      contentType: 'image/png',
+      size: 3,
+      sha256: createHash('sha256').update('png').digest('hex'),
+    })
+    expect(byUrl['https://example.com/docs/bg.png'].durationMs).toEqual(expect.any(Number))
+    // Sizes and checksums describe the saved (rewritten) stylesheet
+    const savedCss = await fs.readFile(path.join(tmpDir, 'example-com-docs_files', 'example-com-docs-css-site.css'))
+    expect(byUrl['https://example.com/docs/css/site.css']).toMatchObject({
+      originalUrl: 'css/site.css',
+      size: savedCss.length,
+      sha256: createHash('sha256').update(savedCss).digest('hex'),
+    })
+    expect(byUrl['https://example.com/missing.png']).toMatchObject({
+      status: null,
+      error: 'Image not found (404): https://example.com/missing.png',
+    })
+  })
+
+  // Test 23: Distinct resource URLs never share a local file
+  it('should give distinct URLs distinct file names', async () => {
+    const longPath = `/${'segment/'.repeat(40)}deep.png`
+    const html = `<html><body>
+<img src="/img.php?id=1"><img src="/img.php?id=2"><img src="/img.php?id=1#top">
+<img src="/a-b.png"><img src="/a/b.png">
+<img src="${longPath}">
+</body></html>`
+
+    nock('https://example.com')
+      .get('/names')
+      .reply(200, html)
+      .get('/img.php')
+      .query({ id: '1' })
+      .reply(200, 'one')
+      .get('/img.php')
+      .query({ id: '2' })
+      .reply(200, 'two')
+      .get('/a-b.png')
+      .reply(200, 'dash')
+      .get('/a/b.png')
+      .reply(200, 'slash')
+      .get(longPath)
+      .reply(200, 'deep')
+
+    const result = await load('https://example.com/names', tmpDir)
+    const $ = cheerio.load(await fs.readFile(result, 'utf-8'))
+    const srcs = $('img').map((_, element) => $(element).attr('src')).get()
+
+    expect(srcs[0]).toMatch(/^example-com-names_files\/example-com-img-[0-9a-f]{8}\.php$/)
+    expect(srcs[2]).toBe(`${srcs[0]}#top`)
+    expect(new Set([srcs[0], srcs[1], srcs[3], srcs[4], srcs[5]]).size).toBe(5)
+    expect(srcs[3]).toBe('example-com-names_files/example-com-a-b.png')
+
+    const files = await fs.readdir(path.join(tmpDir, 'example-com-names_files'))
+    expect(files).toHaveLength(5)
+    expect(Math.max(...files.map(file => file.length))).toBeLessThanOrEqual(255)
+
+    const contents = await Promise.all(srcs.map(src => fs.readFile(path.join(tmpDir, src.replace(/#.*$/, '')), 'utf-8')))
+    expect(contents).toEqual(['one', 'two', 'one', 'dash', 'slash', 'deep'])
+  })
+
+  // Test 24: Extensionless resources are named after their content
+  it('should pick extensions for extensionless URLs from the response', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+    const html = `<html><head>
+<link rel="stylesheet" href="/styles">
+<script src="/app"></script>
+</head><body><img src="/avatar"><img src="/thumb"><img src="/blob"></body></html>`
+
+    nock('https://example.com')
+      .get('/typed')
+      .reply(200, html)
+      .get('/styles')
+      .reply(200, 'body {}', { 'Content-Type': 'text/css; charset=utf-8' })
+      .get('/app')
+      .reply(200, 'run()', { 'Content-Type': 'application/javascript' })
+      .get('/avatar')
+      .reply(200, png, { 'Content-Type': 'image/png' })
+      .get('/thumb')
+      .reply(200, png, { 'Content-Type': 'application/octet-stream' })
+      .get('/blob')
+      .reply(200, 'opaque', { 'Content-Type': 'application/octet-stream' })
+
+    const result = await load('https://example.com/typed', tmpDir)
+    const $ = cheerio.load(await fs.readFile(result, 'utf-8'))
+
+    expect($('link').attr('href')).toBe('example-com-typed_files/example-com-styles.css')
+    expect($('script').attr('src')).toBe('example-com-typed_files/example-com-app.js')
+    const srcs = $('img').map((_, element) => $(element).attr('src')).get()
+    expect(srcs).toEqual([
+      'example-com-typed_files/example-com-avatar.png',
+      'example-com-typed_files/example-com-thumb.png',
+      'example-com-typed_files/example-com-blob.bin',
+    ])
+    await expect(fs.readFile(path.join(tmpDir, srcs[1]))).resolves.toEqual(png)
+  })
+
+  // Test 25: Allowed third-party hosts are saved in per-host folders
+  it('should store resources from allowed hosts in per-host folders', async () => {
+    const html = `<html><head>
+<link rel="stylesheet" href="https://cdn.example.net/lib/site.css">
+</head><body>
+<img src="/logo.png">
+<img src="https://static.example.com/logo.png">
+<img src="https://ads.example.net/pixel.png">
+<img src="https://elsewhere.org/logo.png">
+</body></html>`
+
+    nock('https://example.com')
+      .get('/hosts')
+      .reply(200, html)
+      .get('/logo.png')
+      .reply(200, 'own')
+    nock('https://static.example.com')
+      .get('/logo.png')
+      .reply(200, 'static')
+    nock('https://cdn.example.net')
+      .get('/lib/site.css')
+      .reply(200, '.a { background: url(bg.png) } .b { background: url(https://example.com/logo.png) }')
+      .get('/lib/bg.png')
+      .reply(200, 'bg')
+
+    const result = await load('https://example.com/hosts', tmpDir, {
+      includeSubdomains: true,
+      allowHosts: ['*.example.net'],
+      denyHosts: ['ads.*'],
+    })
+    const $ = cheerio.load(await fs.readFile(result, 'utf-8'))
+    const srcs = $('img').map((_, element) => $(element).attr('src')).get()
+    const dir = 'example-com-hosts_files'
+
+    expect(srcs).toEqual([
+      `${dir}/example-com-logo.png`,
+      `${dir}/static.example.com/static-example-com-logo.png`,
+      'https://ads.example.net/pixel.png',
+      'https://elsewhere.org/logo.png',
+    ])
+    expect($('link').attr('href')).toBe(`${dir}/cdn.example.net/cdn-example-net-lib-site.css`)
+
+    const css = await fs.readFile(path.join(tmpDir, dir, 'cdn.example.net', 'cdn-example-net-lib-site.css'), 'utf-8')
+    expect(css).toBe('.a { background: url(cdn-example-net-lib-bg.png) } .b { background: url(../example-com-logo.png) }')
+    await expect(fs.readFile(path.join(tmpDir, dir, 'static.example.com', 'static-example-com-logo.png'), 'utf-8'))
+      .resolves.toBe('static')
+  })
+
+  // Test 26: Filtered out resources keep their absolute URL
+  it('should skip filtered resources and keep their absolute URLs', async () => {
+    const html = `<html><head>
+<script src="/track.js"></script>
+<link rel="stylesheet" href="/site.css">
+</head><body>
+<img src="/logo.png"><img src="pixel.gif">
+<video src="/movie.mp4"></video>
+<img src="/huge.png">
+</body></html>`
+
+    nock('https://example.com')
+      .get('/filtered')
+      .reply(200, html)
+      .get('/site.css')
+      .reply(200, 'body {}', { 'Content-Type': 'text/css' })
+      .get('/logo.png')
+      .reply(200, 'logo', { 'Content-Type': 'image/png' })
+      .get('/huge.png')
+      .reply(200, 'x'.repeat(2048), { 'Content-Type': 'image/png' })
+      .get('/pixel.gif')
+      .reply(200, 'gif', { 'Content-Type': 'image/gif' })
+
+    const { filepath, manifest } = await load('https://example.com/filtered', tmpDir, {
+      excludeKinds: ['media'],
+      excludeUrls: ['*/track.js'],
+      excludeTypes: ['image/gif'],
+      maxSize: 1024,
+      manifest: true,
+    })
+    const $ = cheerio.load(await fs.readFile(filepath, 'utf-8'))
+    const dir = 'example-com-filtered_files'
+
+    expect($('script').attr('src')).toBe('https://example.com/track.js')
+    expect($('link').attr('href')).toBe(`${dir}/example-com-site.css`)
+    expect($('video').attr('src')).toBe('https://example.com/movie.mp4')
+    const srcs = $('img').map((_, element) => $(element).attr('src')).get()
+    expect(srcs).toEqual([
+      `${dir}/example-com-logo.png`,
+      'https://example.com/pixel.gif',
+      'https://example.com/huge.png',
+    ])
+
+    const files = await fs.readdir(path.join(tmpDir, dir))
+    expect(files.sort()).toEqual(['example-com-logo.png', 'example-com-site.css'])
+
+    const skipped = Object.fromEntries(manifest.resources
+      .filter(resource => resource.skipped)
+      .map(resource => [resource.url, resource.skipped]))
+    expect(skipped).toEqual({
+      'https://example.com/track.js': 'URL is excluded',
+      'https://example.com/movie.mp4': 'media are filtered out',
+      'https://example.com/pixel.gif': 'image/gif is excluded',
+      'https://example.com/huge.png': 'larger than 1024 bytes',
+    })
+  })
+
+  // Test 27: Pages in legacy encodings are saved as UTF-8
+  it('should transcode non-UTF-8 pages to UTF-8', async () => {
+    const encode = text => Buffer.from([...text].map((char) => {
+      const code = char.charCodeAt(0)
+      // Cyrillic А..я sits at 0xC0..0xFF in windows-1251
+      return code >= 0x410 && code <= 0x44F ? code - 0x410 + 0xC0 : code
+    }))
+    const html = '<html><head><meta charset="windows-1251"><title>Привет</title></head><body><p>Мир</p></body></html>'
+
+    nock('https://example.com')
+      .get('/cp1251')
+      .reply(200, encode(html), { 'Content-Type': 'text/html' })
+      .get('/header')
+      .reply(200, encode('<html><head></head><body>Тест</body></html>'), { 'Content-Type': 'text/html; charset=windows-1251' })
+
+    const saved = await fs.readFile(await load('https://example.com/cp1251', tmpDir), 'utf-8')
+    const $ = cheerio.load(saved)
+    expect($('title').text()).toBe('Привет')
+    expect($('p').text()).toBe('Мир')
+    expect($('meta[charset]').attr('charset')).toBe('utf-8')
+
+    const $header = cheerio.load(await fs.readFile(await load('https://example.com/header', tmpDir), 'utf-8'))
+    expect($header('body').text()).toBe('Тест')
+    expect($header('meta[charset]').attr('charset')).toBe('utf-8')
+  })
+
+  // Test 28: Options object API reports progress and returns a result object
+  it('should accept an options object and report progress', async () => {
+    const html = '<html><head><link rel="stylesheet" href="/site.css"></head><body><img src="/a.png"><img src="/gone.png"></body></html>'
+
+    const scope = nock('https://example.com', { reqheaders: { 'x-api-key': 'secret' } })
+      .get('/api')
+      .reply(200, html)
+      .get('/site.css')
+      .reply(200, 'body {}')
+      .get('/a.png')
+      .reply(200, 'png')
+      .get('/gone.png')
+      .reply(404)
+
+    const events = []
+    const result = await load('https://example.com/api', {
+      output: tmpDir,
+      keepGoing: true,
+      headers: { 'X-Api-Key': 'secret' },
+      onResourceStart: ({ url: resourceUrl }) => events.push(`start ${resourceUrl}`),
+      onResourceDone: ({ url: resourceUrl }) => events.push(`done ${resourceUrl}`),
+      onProgress: ({ completed, total }) => events.push(`${completed}/${total}`),
+    })
+
+    expect(scope.isDone()).toBe(true)
+    expect(result.filepath).toBe(path.join(tmpDir, 'example-com-api.html'))
+    expect(result.pages).toEqual([{ url: 'https://example.com/api', filepath: result.filepath }])
+    expect(result.resources.map(resource => resource.url).sort()).toEqual([
+      'https://example.com/a.png',
+      'https://example.com/gone.png',
+      'https://example.com/site.css',
+    ])
+    expect(result.failures).toEqual([{ url: 'https://example.com/gone.png', error: expect.any(Error) }])
+    expect(result.manifestPath).toBeNull()
+
+    for (const resourceUrl of ['https://example.com/a.png', 'https://example.com/gone.png', 'https://example.com/site.css']) {
+      expect(events.indexOf(`start ${resourceUrl}`)).toBeLessThan(events.indexOf(`done ${resourceUrl}`))
+    }
+    expect(events.filter(event => /^\d+\/\d+$/.test(event))).toEqual(['1/3', '2/3', '3/3'])
+  })
+
+  // Test 29: An aborted signal stops the run
+  it('should reject with the abort reason when the signal is aborted', async () => {
+    const controller = new AbortController()
+    nock('https://example.com')
+      .get('/slow')
+      .delay(200)
+      .reply(200, '<html></html>')
+
+    const promise = load('https://example.com/slow', { output: tmpDir, signal: controller.signal })
+    controller.abort()
+    await expect(promise).rejects.toThrow('This operation was aborted')
+    await expect(load('https://example.com/slow', { output: tmpDir, signal: controller.signal }))
+      .rejects.toThrow('This operation was aborted')
+    nock.cleanAll()
+  })
+
+  // Test 30: Credentials only go to the host they were given for
+  it('should scope headers, cookies and credentials to the page host', async () => {
+    const html = `<html><body>
+<img src="/private.png">
+<img src="https://cdn.example.net/public.png">
+<img src="/moved.png">
+</body></html>`
+    const cookieFile = path.join(tmpDir, 'cookies.txt')
+    await fs.writeFile(cookieFile, '.example.net\tTRUE\t/\tFALSE\t0\tcdn\tyes\n')
+
+    nock('https://example.com', {
+      reqheaders: {
+        'authorization': 'Bearer token',
+        'x-team': 'archive',
+        'user-agent': 'archiver/1.0',
+        'cookie': value => value.includes('lang=ru'),
+      },
+    })
+      .get('/login')
+      .reply(200, html, { 'Set-Cookie': 'session=42; Path=/' })
+      .get('/private.png')
+      .matchHeader('cookie', 'lang=ru; session=42')
+      .reply(200, 'private')
+      .get('/moved.png')
+      .reply(302, '', { Location: 'https://cdn.example.net/moved.png' })
+    nock('https://cdn.example.net', { badheaders: ['authorization', 'x-team'] })
+      .get('/public.png')
+      .matchHeader('user-agent', 'archiver/1.0')
+      .matchHeader('cookie', 'cdn=yes')
+      .reply(200, 'public')
+      .get('/moved.png')
+      .matchHeader('cookie', 'cdn=yes')
+      .reply(200, 'moved')
+
+    const result = await load('https://example.com/login', {
+      output: tmpDir,
+      allHosts: true,
+      headers: { 'X-Team': 'archive' },
+      userAgent: 'archiver/1.0',
+      cookies: ['lang=ru'],
+      cookieFile,
+      auth: { token: 'token' },
+    })
+
+    const $ = cheerio.load(await fs.readFile(result.filepath, 'utf-8'))
+    const contents = await Promise.all($('img').map((_, element) => $(element).attr('src')).get()
+      .map(src => fs.readFile(path.join(tmpDir, src), 'utf-8')))
+    expect(contents).toEqual(['private', 'public', 'moved'])
+  })
+
+  // Test 31: Batches load every URL and report each outcome
+  it('should load a batch of URLs and keep going past failed ones', async () => {
+    nock('https://example.com')
+      .get('/one')
+      .reply(200, '<html><body><img src="/shared.png"></body></html>')
+      .get('/two')
+      .reply(200, '<html><body><img src="/shared.png"></body></html>')
+      .get('/shared.png')
+      .twice()
+      .reply(200, 'png')
+      .get('/gone')
+      .reply(404)
+
+    const entries = await loadBatch(
+      ['https://example.com/one', 'https://example.com/gone', 'https://example.com/two'],
+      { output: tmpDir, concurrency: 2 },
+    )
+
+    expect(entries.map(({ url: entryUrl }) => entryUrl))
+      .toEqual(['https://example.com/one', 'https://example.com/gone', 'https://example.com/two'])
+    expect(entries[0].result.filepath).toBe(path.join(tmpDir, 'example-com-one.html'))
+    expect(entries[0].error).toBeNull()
+    expect(entries[1]).toEqual({ url: 'https://example.com/gone', result: null, error: expect.any(Error) })
+    expect(entries[1].error.message).toBe('Page not found (404): https://example.com/gone')
+    expect(entries[2].result.filepath).toBe(path.join(tmpDir, 'example-com-two.html'))
+    await expect(fs.readFile(path.join(tmpDir, 'example-com-two_files', 'example-com-shared.png'), 'utf-8'))
+      .resolves.toBe('png')
+
+    await expect(loadBatch(['https://example.com/one', 'https://example.com/two'], { output: tmpDir, manifest: 'all.json' }))
+      .rejects.toThrow('A manifest file name cannot be shared by several URLs')
+  })
+
+  // Test 32: The shared store keeps identical resources once and collects unused ones
+  it('should store identical resources once and collect unreferenced ones', async () => {
+    const sha = text => createHash('sha256').update(text).digest('hex')
+    const page = (...images) => `<html><head><link rel="stylesheet" href="/site.css"></head><body>${images.map(src => `<img src="${src}">`).join('')}</body></html>`
+
+    nock('https://example.com')
+      .get('/first')
+      .reply(200, page('/logo.png', '/v1/logo.png'))
+      .get('/second')
+      .reply(200, page('/logo.png'))
+      .get('/site.css')
+      .twice()
+      .reply(200, '.a { background: url(bg.png) }')
+      .get('/bg.png')
+      .twice()
+      .reply(200, 'bg')
+      .get('/logo.png')
+      .twice()
+      .reply(200, 'logo')
+      .get('/v1/logo.png')
+      .reply(200, 'logo')
+
+    await loadBatch(['https://example.com/first', 'https://example.com/second'], { output: tmpDir, store: true })
+
+    const storeDir = path.join(tmpDir, '_assets')
+    const cssName = `${sha(`.a { background: url(${sha('bg')}.png) }`)}.css`
+    expect((await fs.readdir(storeDir)).sort()).toEqual([`${sha('bg')}.png`, `${sha('logo')}.png`, cssName].sort())
+    const $ = cheerio.load(await fs.readFile(path.join(tmpDir, 'example-com-first.html'), 'utf-8'))
+    expect($('img').map((_, element) => $(element).attr('src')).get())
+      .toEqual([`_assets/${sha('logo')}.png`, `_assets/${sha('logo')}.png`])
+    expect($('link').attr('href')).toBe(`_assets/${cssName}`)
+    await expect(fs.readdir(path.join(tmpDir, 'example-com-first_files'))).rejects.toThrow('ENOENT')
+
+    // The second page no longer shows the logo; it still lives on the first page
+    nock('https://example.com')
+      .get('/second')
+      .reply(200, '<html><body><img src="/new.png"></body></html>')
+      .get('/new.png')
+      .reply(200, 'new')
+    await load('https://example.com/second', { output: tmpDir, store: true, gc: true })
+    expect(await fs.readdir(storeDir)).toHaveLength(4)
+
+    await fs.rm(path.join(tmpDir, 'example-com-first.html'))
+    nock('https://example.com')
+      .get('/second')
+      .reply(200, '<html><body><img src="/new.png"></body></html>')
+      .get('/new.png')
+      .reply(200, 'new')
+    await load('https://example.com/second', { output: tmpDir, store: true, gc: true })
+    expect(await fs.readdir(storeDir)).toEqual([`${sha('new')}.png`])
+
+    await expect(load('https://example.com/second', { output: tmpDir, store: true, singleFile: true }))
+      .rejects.toThrow('The shared asset store only works with plain HTML output')
+  })
+
+  // Test 33: robots.txt keeps disallowed pages from being fetched and reports them
+  it('should skip pages robots.txt disallows for the user agent', async () => {
+    const robots = 'User-agent: *\nDisallow: /\n\nUser-agent: archiver\nDisallow: /private\nCrawl-delay: 0.01\n'
+    nock('https://example.com')
+      .get('/robots.txt')
+      .reply(200, robots)
+      .get('/start')
+      .reply(200, '<html><body><a href="/open">Open</a><a href="/private/page">Private</a></body></html>')
+      .get('/open')
+      .reply(200, '<html><body>open</body></html>')
+
+    const result = await load('https://example.com/start', {
+      output: tmpDir, depth: 1, robots: true, userAgent: 'Archiver/1.0',
+    })
+
+    expect(result.pages.map(page => page.url)).toEqual(['https://example.com/start', 'https://example.com/open'])
+    expect(result.blocked).toEqual(['https://example.com/private/page'])
+    expect(nock.isDone()).toBe(true)
+
+    nock('https://example.com')
+      .get('/robots.txt')
+      .reply(200, robots)
+    await expect(load('https://example.com/start', { output: tmpDir, robots: true }))
+      .rejects.toThrow('Blocked by robots.txt: https://example.com/start')
+
+    // A missing robots.txt allows everything, an unreachable one nothing
+    nock('https://example.com')
+      .get('/robots.txt')
+      .reply(404)
+      .get('/start')
+      .reply(200, '<html><body>start</body></html>')
+    await expect(load('https://example.com/start', { output: tmpDir, robots: true })).resolves.toMatchObject({ blocked: [] })
+    nock('https://example.com')
+      .get('/robots.txt')
+      .reply(503)
+    await expect(load('https://example.com/start', { output: tmpDir, robots: true }))
+      .rejects.toThrow('Blocked by robots.txt')
+  })
+
+  // Test 34: Sitemaps, sitemap indexes and gzipped sitemaps list the pages of a batch
+  it('should read page URLs from sitemaps', async () => {
+    nock('https://example.com')
+      .get('/sitemap.xml')
+      .reply(200, '<sitemapindex><sitemap><loc>https://example.com/pages.xml.gz</loc></sitemap></sitemapindex>')
+      .get('/pages.xml.gz')
+      .reply(200, zlib.gzipSync('<urlset><url><loc>https://example.com/one</loc></url><url><loc>https://example.com/two</loc></url></urlset>'), {
+        'Content-Type': 'application/gzip',
+      })
+
+    await expect(readSitemap('https://example.com/sitemap.xml'))
+      .resolves.toEqual(['https://example.com/one', 'https://example.com/two'])
+
+    nock('https://example.com')
+      .get('/sitemap.xml')
+      .reply(404)
+    await expect(readSitemap('https://example.com/sitemap.xml'))
+      .rejects.toThrow('Cannot read sitemap https://example.com/sitemap.xml')
+  })
+
+  // Test 35: Captures are staged and only replace earlier ones once complete
+  it('should replace earlier captures only with complete ones', async () => {
+    const filepath = path.join(tmpDir, 'example-com-page.html')
+    const resourceDir = path.join(tmpDir, 'example-com-page_files')
+    nock('https://example.com')
+      .get('/page')
+      .reply(200, '<html><body><img src="/old.png"></body></html>')
+      .get('/old.png')
+      .reply(200, 'old')
+    await load('https://example.com/page', { output: tmpDir })
+
+    // A run that fails halfway leaves the previous capture as it was
+    nock('https://example.com')
+      .get('/page')
+      .reply(200, '<html><body><img src="/new.png"><img src="/missing.png"></body></html>')
+      .get('/new.png')
+      .reply(200, 'new')
+      .get('/missing.png')
+      .reply(500)
+    await expect(load('https://example.com/page', { output: tmpDir })).rejects.toThrow('Server error (500)')
+    expect(await fs.readdir(tmpDir)).toEqual(['example-com-page.html', 'example-com-page_files'])
+    expect(await fs.readdir(resourceDir)).toEqual(['example-com-old.png'])
+
+    await expect(load('https://example.com/page', { output: tmpDir, onExists: 'fail' }))
+      .rejects.toThrow(`Output already exists: ${filepath}`)
+    await expect(load('https://example.com/page', { output: tmpDir, onExists: 'skip' }))
+      .resolves.toMatchObject({ filepath, skipped: true, resources: [] })
+    await expect(load('https://example.com/page', { output: tmpDir, onExists: 'merge' }))
+      .rejects.toThrow('Unknown on-exists policy: merge')
+
+    nock('https://example.com')
+      .get('/page')
+      .reply(200, '<html><body><img src="/new.png"></body></html>')
+      .get('/new.png')
+      .reply(200, 'new')
+    await expect(load('https://example.com/page', { output: tmpDir })).resolves.toMatchObject({ skipped: false })
+    expect(await fs.readdir(tmpDir)).toEqual(['example-com-page.html', 'example-com-page_files'])
+    expect(await fs.readdir(resourceDir)).toEqual(['example-com-new.png'])
+  })
+
+  // Test 36: Stalled requests time out and the deadline bounds the whole run
+  it('should time out stalled requests and stop at the deadline', async () => {
+    nock('https://example.com')
+      .get('/stalled')
+      .delay(500)
+      .reply(200, '<html></html>')
+    await expect(load('https://example.com/stalled', { output: tmpDir, timeout: 50 }))
+      .rejects.toThrow('Request timeout: https://example.com/stalled')
+
+    nock('https://example.com')
+      .get('/page')
+      .reply(200, '<html><body><img src="/slow.png"></body></html>')
+      .get('/slow.png')
+      .delay(500)
+      .reply(200, 'png')
+    await expect(load('https://example.com/page', { output: tmpDir, deadline: 100 }))
+      .rejects.toThrow('Deadline of 100 ms exceeded')
+    // Nothing of the cancelled run is left behind
+    expect(await fs.readdir(tmpDir)).toEqual([])
+    nock.cleanAll()
+  })
+
+  // Test 37: Resources are streamed to disk and checked against Content-Length
+  it('should stream resources to disk and reject truncated ones', async () => {
+    const video = Buffer.alloc(256 * 1024, 'v')
+    nock('https://example.com')
+      .get('/media')
+      .reply(200, '<html><body><video src="/clip.mp4"></video><img src="/cut.png"><img src="/download"></body></html>')
+      .get('/clip.mp4')
+      .reply(200, video, { 'Content-Length': String(video.length) })
+      .get('/cut.png')
+      .reply(200, 'png', { 'Content-Length': '1000' })
+      .get('/download')
+      .reply(200, zlib.gzipSync('GIF89a...'), { 'Content-Encoding': 'gzip' })
+
+    const result = await load('https://example.com/media', { output: tmpDir, keepGoing: true })
+
+    const resourceDir = path.join(tmpDir, 'example-com-media_files')
+    expect((await fs.readdir(resourceDir)).sort()).toEqual(['example-com-clip.mp4', 'example-com-download.gif'])
+    await expect(fs.readFile(path.join(resourceDir, 'example-com-clip.mp4'))).resolves.toEqual(video)
+    await expect(fs.readFile(path.join(resourceDir, 'example-com-download.gif'), 'utf-8')).resolves.toBe('GIF89a...')
+    expect(result.resources.find(({ url: resourceUrl }) => resourceUrl.endsWith('/clip.mp4'))).toMatchObject({
+      size: video.length,
+      sha256: createHash('sha256').update(video).digest('hex'),
+    })
+    expect(result.failures.map(({ error }) => error.message))
+      .toEqual(['Truncated response: https://example.com/cut.png (received 3 of 1000 bytes)'])
+  })
+
+  // Test 38: Only HTML responses are saved as pages
+  it('should leave links to non-HTML documents online', async () => {
+    nock('https://site.io')
+      .get('/docs')
+      .reply(200, '<html><body><a href="/guide.pdf">Guide</a><a href="/dist.zip">Dist</a><a href="/next">Next</a></body></html>', {
+        'Content-Type': 'text/html; charset=utf-8',
+      })
+      .get('/guide.pdf')
+      .reply(200, '%PDF-1.7', { 'Content-Type': 'application/pdf' })
+      .get('/dist.zip')
+      .reply(200, Buffer.from([0x50, 0x4B, 0x03, 0x04]), { 'Content-Type': 'application/zip' })
+      .get('/next')
+      .reply(200, '<html><body>next</body></html>', { 'Content-Type': 'application/xhtml+xml' })
+
+    const result = await load('https://site.io/docs', { output: tmpDir, depth: 1 })
+
+    expect(result.pages.map(page => page.url)).toEqual(['https://site.io/docs', 'https://site.io/next'])
+    expect((await fs.readdir(tmpDir)).sort()).toEqual(['site-io-docs.html', 'site-io-next.html'])
+    const saved = await fs.readFile(result.filepath, 'utf-8')
+    expect(saved).toContain('href="/guide.pdf"')
+    expect(saved).toContain('href="/dist.zip"')
+    expect(saved).toContain('href="site-io-next.html"')
+
+    nock('https://site.io')
+      .get('/guide.pdf')
+      .reply(200, '%PDF-1.7', { 'Content-Type': 'application/pdf' })
+    await expect(load('https://site.io/guide.pdf', { output: tmpDir }))
+      .rejects.toThrow('Not an HTML page (application/pdf): https://site.io/guide.pdf')
+  })
+
+  // Test 39: Pages are told apart by URL, names that clean up alike get a hash
+  it('should save every distinct linked page under its own name', async () => {
+    nock('https://site.io')
+      .get('/list')
+      .query({ page: '1' })
+      .reply(200, '<html><body><a href="/list?page=2">Next</a><a href="/a/b">A/B</a><a href="/a-b#top">A-B</a><a href="/list?page=1#top">Top</a></body></html>')
+      .get('/list')
+      .query({ page: '2' })
+      .reply(200, '<html><body>page 2</body></html>')
+      .get('/a/b')
+      .reply(200, '<html><body>a/b</body></html>')
+      .get('/a-b')
+      .reply(200, '<html><body>a-b</body></html>')
+
+    const result = await load('https://site.io/list?page=1', { output: tmpDir, depth: 1 })
+
+    const collisionName = `site-io-a-b-${createHash('sha256').update('https://site.io/a-b').digest('hex').slice(0, 8)}.html`
+    expect(result.filepath).toBe(path.join(tmpDir, 'site-io-list-page-1.html'))
+    expect(result.pages.map(page => path.basename(page.filepath)))
+      .toEqual(['site-io-list-page-1.html', 'site-io-list-page-2.html', 'site-io-a-b.html', collisionName])
+    expect(nock.isDone()).toBe(true)
+
+    const $ = cheerio.load(await fs.readFile(result.filepath, 'utf-8'))
+    expect($('a').map((_, element) => $(element).attr('href')).get())
+      .toEqual(['site-io-list-page-2.html', 'site-io-a-b.html', `${collisionName}#top`, 'site-io-list-page-1.html#top'])
+    await expect(fs.readFile(path.join(tmpDir, collisionName), 'utf-8')).resolves.toContain('a-b')
+  })
+
+  // Test 40: Credentials never follow a scheme downgrade or another port
+  it('should keep credentials to the origin of the start page', async () => {
+    nock('https://site.io')
+      .get('/account')
+      .matchHeader('authorization', `Basic ${Buffer.from('user:secret').toString('base64')}`)
+      .matchHeader('x-team', 'archive')
+      .reply(200, '<html><body><img src="http://site.io/x.png"><img src="https://site.io:8443/y.png"></body></html>')
+    nock('http://site.io', { badheaders: ['authorization', 'x-team'] })
+      .get('/x.png')
+      .reply(200, 'x')
+    nock('https://site.io:8443', { badheaders: ['authorization', 'x-team'] })
+      .get('/y.png')
+      .reply(200, 'y')
+
+    await load('https://site.io/account', {
+      output: tmpDir,
+      allHosts: true,
+      headers: { 'X-Team': 'archive' },
+      auth: { username: 'user', password: 'secret' },
+    })
+    expect(nock.isDone()).toBe(true)
+  })
+
+  // Test 41: Single-file pages keep their canonical and other page links online
+  it('should point page links at their URL in single-file mode', async () => {
+    nock('https://example.com')
+      .get('/post')
+      .reply(200, `<html><head>
+<link rel="canonical" href="/post">
+<link rel="manifest" href="/app.webmanifest">
+<link rel="preload" as="document" href="/next">
+<link rel="preload" as="image" href="/hero.png">
+</head><body></body></html>`)
+      .get('/hero.png')
+      .reply(200, Buffer.from('png'), { 'Content-Type': 'image/png' })
+
+    const result = await load('https://example.com/post', tmpDir, { singleFile: true })
+    expect(nock.isDone()).toBe(true)
+
+    const $ = cheerio.load(await fs.readFile(result, 'utf-8'))
+    expect($('link[rel="canonical"]').attr('href')).toBe('https://example.com/post')
+    expect($('link[rel="manifest"]').attr('href')).toBe('https://example.com/app.webmanifest')
+    expect($('link[as="document"]').attr('href')).toBe('https://example.com/next')
+    expect($('link[as="image"]').attr('href')).toBe(`data:image/png;base64,${Buffer.from('png').toString('base64')}`)
+  })
+
+  // Test 42: A failed capture stops its other downloads before the staging directory goes
+  it('should leave nothing behind once a failed load has rejected', async () => {
+    nock('https://example.com')
+      .get('/p')
+      .reply(200, '<html><head><link rel="stylesheet" href="https://cdn.net/a.css"></head><body><img src="/gone.png"></body></html>')
+      .get('/gone.png')
+      .reply(404)
+    nock('https://cdn.net')
+      .get('/a.css')
+      .delay(300)
+      .reply(200, 'body { color: red; }')
+
+    await expect(load('https://example.com/p', { output: tmpDir, allHosts: true })).rejects.toThrow('404')
+    await new Promise(resolve => setTimeout(resolve, 500))
+    expect(await fs.readdir(tmpDir)).toEqual([])
+  })
+
+  // Test 43: Archived exchanges carry the URL that answered, not the one before a redirect
+  it('should archive a redirected resource under its final URL', async () => {
+    nock('https://example.com')
+      .get('/moved')
+      .reply(200, '<html><body><img src="/old.png"></body></html>')
+      .get('/old.png')
+      .reply(301, '', { Location: '/new.png' })
+      .get('/new.png')
+      .reply(200, 'png', { 'Content-Type': 'image/png' })
+
+    const result = await load('https://example.com/moved', tmpDir, { format: 'warc' })
+
+    const warc = await fs.readFile(result, 'latin1')
+    const targets = [...warc.matchAll(/^WARC-Target-URI: (\S+)\r$/gm)].map(([, uri]) => uri)
+    expect(targets).toEqual([
+      'https://example.com/moved', 'https://example.com/moved', 'https://example.com/new.png', 'https://example.com/new.png',
+    ])
+    expect(warc).toContain('GET /new.png HTTP/1.1\r\nHost: example.com\r\n')
+  })
+
+  // Test 44: Stylesheets are read whole, axios enforces the size limit on them
+  it('should skip oversized stylesheets but report server errors', async () => {
+    nock('https://example.com')
+      .get('/styled')
+      .reply(200, '<html><head><link rel="stylesheet" href="/big.css"><link rel="stylesheet" href="/down.css"></head></html>')
+      .get('/big.css')
+      .reply(200, `body { content: "${'x'.repeat(2048)}"; }`, { 'Content-Type': 'text/css' })
+      .get('/down.css')
+      .reply(503)
+
+    const result = await load('https://example.com/styled', { output: tmpDir, maxSize: 1024, keepGoing: true })
+
+    const big = result.resources.find(resource => resource.url === 'https://example.com/big.css')
+    expect(big.skipped).toBe('larger than 1024 bytes')
+    expect(result.failures.map(({ url }) => url)).toEqual(['https://example.com/down.css'])
+  })
 })
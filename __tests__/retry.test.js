@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals'
+import { withRetries, parseRetryAfter } from '../src/retry.js'
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`status ${status}`), {
+  response: { status, headers },
+})
+
+describe('retry', () => {
+  it('should parse Retry-After seconds and dates', () => {
+    expect(parseRetryAfter('2')).toBe(2000)
+    expect(parseRetryAfter(new Date(Date.now() - 1000).toUTCString())).toBe(0)
+    expect(parseRetryAfter('soon')).toBeNull()
+    expect(parseRetryAfter(undefined)).toBeNull()
+  })
+
+  it('should retry transient failures until the request succeeds', async () => {
+    const failures = [Object.assign(new Error('reset'), { code: 'ECONNRESET' }), httpError(502)]
+    const requestFn = jest.fn(async () => {
+      if (failures.length > 0) {
+        throw failures.shift()
+      }
+      return 'done'
+    })
+
+    await expect(withRetries(requestFn, 'https://a.com/', { retries: 2, retryDelay: 1 })).resolves.toBe('done')
+    expect(requestFn).toHaveBeenCalledTimes(3)
+  })
+
+  it('should give up after the configured number of retries', async () => {
+    const requestFn = jest.fn(async () => {
+      throw httpError(500)
+    })
+
+    await expect(withRetries(requestFn, 'https://a.com/', { retries: 2, retryDelay: 1 })).rejects.toThrow('status 500')
+    expect(requestFn).toHaveBeenCalledTimes(3)
+  })
+
+  it('should not retry client errors', async () => {
+    const requestFn = jest.fn(async () => {
+      throw httpError(404)
+    })
+
+    await expect(withRetries(requestFn, 'https://a.com/', { retries: 3, retryDelay: 1 })).rejects.toThrow('status 404')
+    expect(requestFn).toHaveBeenCalledTimes(1)
+  })
+
+  it('should wait as long as Retry-After asks on 429', async () => {
+    const failures = [httpError(429, { 'retry-after': '0.1' })]
+    const requestFn = jest.fn(async () => {
+      if (failures.length > 0) {
+        throw failures.shift()
+      }
+      return 'done'
+    })
+
+    const startedAt = Date.now()
+    await expect(withRetries(requestFn, 'https://a.com/', { retries: 1, retryDelay: 1 })).resolves.toBe('done')
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90)
+  })
+
+  it('should give up when Retry-After is past the longest delay', async () => {
+    const requestFn = jest.fn(async () => {
+      throw httpError(503, { 'retry-after': '3600' })
+    })
+
+    await expect(withRetries(requestFn, 'https://a.com/', { retries: 3, maxRetryDelay: 1000 })).rejects.toThrow('status 503')
+    expect(requestFn).toHaveBeenCalledTimes(1)
+  })
+
+  it('should wait through pause', async () => {
+    const failures = [httpError(502)]
+    const requestFn = jest.fn(async () => {
+      if (failures.length > 0) {
+        throw failures.shift()
+      }
+      return 'done'
+    })
+    const pause = jest.fn(waiting => waiting)
+
+    await expect(withRetries(requestFn, 'https://a.com/', { retries: 1, retryDelay: 1, pause })).resolves.toBe('done')
+    expect(pause).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,68 @@
+import { parseRobots, createRobotsRules, getAgentToken } from '../src/robots.js'
+
+const ROBOTS = [
+  '# Example robots.txt',
+  'User-agent: *',
+  'Disallow: /private',
+  'Allow: /private/open',
+  'Disallow: /*.pdf$',
+  'Crawl-delay: 2',
+  '',
+  'User-agent: archiver',
+  'User-agent: mirror',
+  'Disallow: /',
+  'Allow: /public',
+  'Disallow:',
+].join('\n')
+
+describe('parseRobots', () => {
+  it('should group rules under the user agents listed above them', () => {
+    expect(parseRobots(ROBOTS)).toEqual([
+      {
+        agents: ['*'],
+        rules: [
+          { allow: false, path: '/private' },
+          { allow: true, path: '/private/open' },
+          { allow: false, path: '/*.pdf$' },
+        ],
+        crawlDelay: 2,
+      },
+      {
+        agents: ['archiver', 'mirror'],
+        rules: [{ allow: false, path: '/' }, { allow: true, path: '/public' }],
+        crawlDelay: null,
+      },
+    ])
+  })
+})
+
+describe('createRobotsRules', () => {
+  it('should let the longest matching rule decide', () => {
+    const { isAllowed, crawlDelay } = createRobotsRules(ROBOTS, 'page-loader/1.0')
+    expect(isAllowed('https://example.com/')).toBe(true)
+    expect(isAllowed('https://example.com/private/page')).toBe(false)
+    expect(isAllowed('https://example.com/private/open/page')).toBe(true)
+    expect(isAllowed('https://example.com/docs/file.pdf')).toBe(false)
+    expect(isAllowed('https://example.com/docs/file.pdf?download=1')).toBe(true)
+    expect(crawlDelay).toBe(2)
+  })
+
+  it('should prefer the group naming the user agent', () => {
+    const { isAllowed, crawlDelay } = createRobotsRules(ROBOTS, 'Mirror/2.1 (+https://mirror.example)')
+    expect(isAllowed('https://example.com/docs')).toBe(false)
+    expect(isAllowed('https://example.com/public/docs')).toBe(true)
+    expect(isAllowed('https://example.com/robots.txt')).toBe(true)
+    expect(crawlDelay).toBeNull()
+  })
+
+  it('should allow everything without rules', () => {
+    expect(createRobotsRules('', undefined).isAllowed('https://example.com/any')).toBe(true)
+  })
+})
+
+describe('getAgentToken', () => {
+  it('should use the first product name of the user agent', () => {
+    expect(getAgentToken('Archiver/1.0 (compatible)')).toBe('archiver')
+    expect(getAgentToken(undefined)).toBe('page-loader')
+  })
+})
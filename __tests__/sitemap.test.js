@@ -0,0 +1,48 @@
+import { gzipSync } from 'node:zlib'
+import { parseSitemap, collectSitemapUrls } from '../src/sitemap.js'
+
+const urlset = (...locations) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locations.map(loc => `  <url><loc>${loc}</loc><lastmod>2024-01-01</lastmod></url>`).join('\n')}
+</urlset>`
+
+const sitemapIndex = (...locations) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locations.map(loc => `  <sitemap><loc>${loc}</loc></sitemap>`).join('\n')}
+</sitemapindex>`
+
+describe('parseSitemap', () => {
+  it('should read page and sitemap locations', () => {
+    expect(parseSitemap(urlset('https://example.com/a', 'https://example.com/b?x=1&amp;y=2'))).toEqual({
+      urls: ['https://example.com/a', 'https://example.com/b?x=1&y=2'],
+      sitemaps: [],
+    })
+    expect(parseSitemap(sitemapIndex('https://example.com/pages.xml'))).toEqual({
+      urls: [],
+      sitemaps: ['https://example.com/pages.xml'],
+    })
+  })
+
+  it('should read gzipped sitemaps', () => {
+    expect(parseSitemap(gzipSync(urlset('https://example.com/a'))).urls).toEqual(['https://example.com/a'])
+  })
+})
+
+describe('collectSitemapUrls', () => {
+  it('should follow sitemap indexes once per sitemap', async () => {
+    const sitemaps = {
+      'https://example.com/sitemap.xml': sitemapIndex('https://example.com/one.xml', 'https://example.com/two.xml.gz'),
+      'https://example.com/one.xml': sitemapIndex('https://example.com/sitemap.xml', 'https://example.com/two.xml.gz'),
+      'https://example.com/two.xml.gz': gzipSync(urlset('https://example.com/a', 'https://example.com/b', 'https://example.com/a')),
+    }
+    const fetched = []
+    const fetchSitemap = async (url) => {
+      fetched.push(url)
+      return sitemaps[url]
+    }
+
+    await expect(collectSitemapUrls('https://example.com/sitemap.xml', fetchSitemap))
+      .resolves.toEqual(['https://example.com/a', 'https://example.com/b'])
+    expect(fetched).toEqual(['https://example.com/sitemap.xml', 'https://example.com/one.xml', 'https://example.com/two.xml.gz'])
+  })
+})
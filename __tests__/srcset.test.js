@@ -0,0 +1,26 @@
+import { parseSrcset, serializeSrcset } from '../src/srcset.js'
+
+describe('srcset', () => {
+  it('should split candidates with width and density descriptors', () => {
+    expect(parseSrcset(' /img/a.png 1x,/img/b.png  2x , /img/c,d.png 640w')).toEqual([
+      { url: '/img/a.png', descriptor: '1x' },
+      { url: '/img/b.png', descriptor: '2x' },
+      { url: '/img/c,d.png', descriptor: '640w' },
+    ])
+  })
+
+  it('should handle candidates without descriptors', () => {
+    expect(parseSrcset('/one.png, /two.png 2x')).toEqual([
+      { url: '/one.png', descriptor: '' },
+      { url: '/two.png', descriptor: '2x' },
+    ])
+  })
+
+  it('should serialize candidates back into a srcset value', () => {
+    const candidates = [
+      { url: 'a.png', descriptor: '' },
+      { url: 'b.png', descriptor: '2x' },
+    ]
+    expect(serializeSrcset(candidates)).toBe('a.png, b.png 2x')
+  })
+})
@@ -0,0 +1,62 @@
+import path from 'node:path'
+import os from 'node:os'
+import { jest } from '@jest/globals'
+
+const fs = await import('node:fs/promises')
+const rename = jest.fn(fs.rename)
+jest.unstable_mockModule('node:fs/promises', () => ({ ...fs, default: fs.default, rename }))
+const { createStagingDir, commitStaging, discardStaging } = await import('../src/staging.js')
+
+describe('commitStaging', () => {
+  let outputDir
+  let stagingDir
+
+  const writeCapture = async (dir, version) => {
+    await fs.mkdir(path.join(dir, 'site-page_files'))
+    await fs.writeFile(path.join(dir, 'site-page_files', `${version}.png`), version)
+    await fs.writeFile(path.join(dir, 'site-page.html'), `<img src="site-page_files/${version}.png">`)
+  }
+
+  const readCapture = async () => ({
+    page: await fs.readFile(path.join(outputDir, 'site-page.html'), 'utf-8'),
+    resources: await fs.readdir(path.join(outputDir, 'site-page_files')),
+  })
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'page-loader-'))
+    await writeCapture(outputDir, 'old')
+    stagingDir = await createStagingDir(outputDir)
+    await writeCapture(stagingDir, 'new')
+    rename.mockClear()
+  })
+
+  afterEach(async () => {
+    rename.mockImplementation(fs.rename)
+    await fs.rm(outputDir, { recursive: true, force: true })
+  })
+
+  it('should move resource folders into place before pages', async () => {
+    await commitStaging(stagingDir, outputDir)
+    await discardStaging(stagingDir)
+
+    const targets = rename.mock.calls.map(([, to]) => path.relative(outputDir, to))
+    expect(targets.indexOf('site-page_files')).toBeLessThan(targets.indexOf('site-page.html'))
+    expect(await readCapture()).toEqual({ page: '<img src="site-page_files/new.png">', resources: ['new.png'] })
+    expect(await fs.readdir(outputDir)).toEqual(['site-page.html', 'site-page_files'])
+  })
+
+  it('should restore the previous capture when a move fails', async () => {
+    rename.mockImplementation(async (from, to) => {
+      if (from === path.join(stagingDir, 'site-page.html')) {
+        throw Object.assign(new Error('EIO: i/o error, rename'), { code: 'EIO' })
+      }
+      return fs.rename(from, to)
+    })
+
+    await expect(commitStaging(stagingDir, outputDir)).rejects.toThrow('EIO')
+    await discardStaging(stagingDir)
+
+    expect(await readCapture()).toEqual({ page: '<img src="site-page_files/old.png">', resources: ['old.png'] })
+    expect(await fs.readdir(outputDir)).toEqual(['site-page.html', 'site-page_files'])
+  })
+})
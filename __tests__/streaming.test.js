@@ -0,0 +1,68 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+import zlib from 'node:zlib'
+import { Readable } from 'node:stream'
+import { createHash } from 'node:crypto'
+import { writeBody } from '../src/streaming.js'
+
+const sha = data => createHash('sha256').update(data).digest('hex')
+
+describe('writeBody', () => {
+  let tmpDir
+  let filepath
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'page-loader-'))
+    filepath = path.join(tmpDir, 'body.part')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should write, count and hash the body', async () => {
+    const chunks = [Buffer.alloc(400, 'a'), Buffer.alloc(400, 'b')]
+    const body = Buffer.concat(chunks)
+
+    const result = await writeBody(Readable.from(chunks), filepath, {
+      url: 'https://example.com/big.bin', headers: { 'content-length': '800' },
+    })
+
+    expect(result).toEqual({
+      filepath, size: 800, sha256: sha(body), head: body.subarray(0, 512),
+    })
+    await expect(fs.readFile(filepath)).resolves.toEqual(body)
+  })
+
+  it('should decode compressed bodies and check the length on the wire', async () => {
+    const compressed = zlib.gzipSync('hello world')
+
+    const result = await writeBody(Readable.from([compressed]), filepath, {
+      url: 'https://example.com/a.txt', headers: { 'content-length': String(compressed.length), 'content-encoding': 'gzip' },
+    })
+
+    expect(result.size).toBe(11)
+    await expect(fs.readFile(filepath, 'utf-8')).resolves.toBe('hello world')
+  })
+
+  it('should reject truncated bodies and remove the partial file', async () => {
+    await expect(writeBody(Readable.from([Buffer.from('short')]), filepath, {
+      url: 'https://example.com/a.bin', headers: { 'content-length': '100' },
+    })).rejects.toMatchObject({
+      code: 'ERR_RESPONSE_TRUNCATED',
+      message: 'Truncated response: https://example.com/a.bin (received 5 of 100 bytes)',
+    })
+    await expect(fs.access(filepath)).rejects.toThrow('ENOENT')
+  })
+
+  it('should stop at the size limit', async () => {
+    const chunks = [Buffer.alloc(600), Buffer.alloc(600)]
+    await expect(writeBody(Readable.from(chunks), filepath, { url: 'https://example.com/a.bin', maxSize: 1000 }))
+      .rejects.toMatchObject({ code: 'ERR_RESOURCE_TOO_LARGE' })
+    await expect(writeBody(Readable.from(chunks), filepath, {
+      url: 'https://example.com/a.bin', headers: { 'content-length': '1200' }, maxSize: 1000,
+    })).rejects.toThrow('Resource is larger than 1000 bytes: https://example.com/a.bin')
+    await expect(fs.access(filepath)).rejects.toThrow('ENOENT')
+  })
+})
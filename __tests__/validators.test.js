@@ -0,0 +1,30 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+import { hashContent, isFileIntact } from '../src/validators.js'
+
+describe('isFileIntact', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'page-loader-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should match a file against the hash it was saved with', async () => {
+    const filepath = path.join(tmpDir, 'logo.png')
+    const content = Buffer.alloc(200 * 1024, 'png')
+    await fs.writeFile(filepath, content)
+
+    await expect(isFileIntact(filepath, hashContent(content))).resolves.toBe(true)
+    await fs.appendFile(filepath, 'x')
+    await expect(isFileIntact(filepath, hashContent(content))).resolves.toBe(false)
+  })
+
+  it('should treat a missing file as changed', async () => {
+    await expect(isFileIntact(path.join(tmpDir, 'gone.png'), hashContent('png'))).resolves.toBe(false)
+  })
+})
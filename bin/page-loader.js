@@ -1,19 +1,257 @@
 #!/usr/bin/env node
 
-import { program } from 'commander'
+import { program, Option, InvalidArgumentError } from 'commander'
 import { resolve } from 'node:path'
-import load from '../src/pageLoader.js'
+import { readFile } from 'node:fs/promises'
+import load, { loadBatch, readSitemap } from '../src/pageLoader.js'
+import { RESOURCE_KINDS } from '../src/filters.js'
+import { STORE_DIR_NAME } from '../src/store.js'
 import debug from 'debug'
 
 const log = debug('page-loader')
 
+const PARTIAL_SUCCESS_EXIT_CODE = 2
+
+// 128 + SIGINT, what shells report for a command stopped with Ctrl-C
+const INTERRUPTED_EXIT_CODE = 130
+
+const parseCount = (value) => {
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < 0) {
+    throw new InvalidArgumentError('Expected a non-negative integer.')
+  }
+  return count
+}
+
+const parsePositiveCount = (value) => {
+  const count = parseCount(value)
+  if (count === 0) {
+    throw new InvalidArgumentError('Expected a positive integer.')
+  }
+  return count
+}
+
+const collect = (value, previous) => [...previous, value]
+
+// Comma-separated values may also be given as repeated options
+const collectList = (value, previous) => [...previous, ...value.split(',').map(item => item.trim()).filter(Boolean)]
+
+const collectHeader = (value, previous) => {
+  const separator = value.indexOf(':')
+  if (separator <= 0) {
+    throw new InvalidArgumentError('Expected a header as "Name: value".')
+  }
+  return { ...previous, [value.slice(0, separator).trim()]: value.slice(separator + 1).trim() }
+}
+
+const parseCredentials = (value) => {
+  const separator = value.indexOf(':')
+  if (separator <= 0) {
+    throw new InvalidArgumentError('Expected credentials as "user:password".')
+  }
+  return { username: value.slice(0, separator), password: value.slice(separator + 1) }
+}
+
+const SIZE_UNITS = { '': 1, 'k': 1024, 'm': 1024 ** 2, 'g': 1024 ** 3 }
+
+const parseSize = (value) => {
+  const match = value.trim().toLowerCase().match(/^(\d+)\s*([kmg]?)b?$/)
+  if (!match) {
+    throw new InvalidArgumentError('Expected a size in bytes, optionally with a K, M or G suffix.')
+  }
+  return Number(match[1]) * SIZE_UNITS[match[2]]
+}
+
+const toLoadOptions = (options, outputPath, signal) => ({
+  output: outputPath,
+  signal,
+  depth: options.depth,
+  maxPages: options.maxPages,
+  concurrency: options.concurrency,
+  hostConcurrency: options.hostConcurrency,
+  hostDelay: options.hostDelay,
+  retries: options.retries,
+  retryDelay: options.retryDelay,
+  maxRetryDelay: options.maxRetryDelay,
+  timeout: options.timeout,
+  deadline: options.deadline,
+  keepGoing: options.keepGoing,
+  singleFile: options.singleFile,
+  format: options.format,
+  onExists: options.onExists,
+  incremental: options.incremental,
+  store: options.sharedStore,
+  gc: options.gc,
+  manifest: options.manifest,
+  includeSubdomains: options.includeSubdomains,
+  allowHosts: options.allowHost,
+  denyHosts: options.denyHost,
+  allHosts: options.allHosts,
+  includeKinds: options.includeKind,
+  excludeKinds: options.excludeKind,
+  includeUrls: options.include,
+  excludeUrls: options.exclude,
+  includeTypes: options.includeType,
+  excludeTypes: options.excludeType,
+  maxSize: options.maxSize,
+  headers: options.header,
+  userAgent: options.userAgent,
+  cookies: options.cookie,
+  cookieFile: options.cookieFile,
+  auth: options.bearer ? { token: options.bearer } : options.auth,
+  proxy: options.proxy,
+  robots: options.robots,
+})
+
+// The first Ctrl-C cancels the downloads and lets the staged files be removed, a second one exits at once
+const interruptOnSigint = () => {
+  const controller = new AbortController()
+  process.once('SIGINT', () => {
+    console.error('Interrupted, cleaning up...')
+    controller.abort(new Error('Interrupted'))
+    process.once('SIGINT', () => process.exit(INTERRUPTED_EXIT_CODE))
+  })
+  return controller.signal
+}
+
+const exitWithError = (error, signal) => {
+  console.error(`Error: ${error.message}`)
+  process.exit(signal.aborted ? INTERRUPTED_EXIT_CODE : 1)
+}
+
+const readStdin = async () => {
+  const chunks = []
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks).toString('utf-8')
+}
+
+// One URL per line; blank lines and # comments are ignored
+const readUrlList = async (inputFile) => {
+  const text = inputFile === '-' ? await readStdin() : await readFile(inputFile, 'utf-8')
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+}
+
+const reportBlocked = (blocked) => {
+  for (const blockedUrl of blocked) {
+    console.error(`Blocked by robots.txt: ${blockedUrl}`)
+  }
+}
+
+const runBatch = async (url, options) => {
+  const outputPath = resolve(options.output || process.cwd())
+  const urls = url ? [url] : []
+  if (options.inputFile) {
+    try {
+      urls.push(...await readUrlList(options.inputFile))
+    }
+    catch (error) {
+      console.error(`Error: Cannot read URL list ${options.inputFile}: ${error.message}`)
+      process.exit(1)
+    }
+  }
+  const signal = interruptOnSigint()
+  if (options.sitemap) {
+    try {
+      urls.push(...await readSitemap(options.sitemap, toLoadOptions(options, outputPath, signal)))
+    }
+    catch (error) {
+      exitWithError(error, signal)
+    }
+  }
+  log('Batch of %d URL(s) into %s', urls.length, outputPath)
+
+  let entries
+  try {
+    entries = await loadBatch(urls, toLoadOptions(options, outputPath, signal))
+  }
+  catch (error) {
+    exitWithError(error, signal)
+  }
+
+  const failed = entries.filter(({ error }) => error)
+  const incomplete = entries.filter(({ result }) => result?.failures.length > 0)
+  for (const { url: pageUrl, result, error } of entries) {
+    if (error) {
+      console.error(`failed  ${pageUrl}: ${error.message}`)
+    }
+    else if (result.skipped) {
+      console.log(`exists  ${pageUrl} -> ${result.filepath}`)
+    }
+    else {
+      const note = result.failures.length > 0 ? ` (${result.failures.length} resource(s) failed)` : ''
+      console.log(`saved   ${pageUrl} -> ${result.filepath}${note}`)
+      reportBlocked(result.blocked)
+    }
+  }
+  console.error(`Saved ${entries.length - failed.length} of ${entries.length} URL(s)`)
+
+  if (failed.length === entries.length && entries.length > 0) {
+    process.exit(1)
+  }
+  if (failed.length > 0 || incomplete.length > 0) {
+    process.exit(PARTIAL_SUCCESS_EXIT_CODE)
+  }
+}
+
 program
   .name('page-loader')
   .description('Page loader utility')
   .version('1.0.0')
-  .argument('<url>', 'URL of the page to download')
+  .argument('[url]', 'URL of the page to download')
+  .option('-i --input-file <path>', 'also download every URL listed in this file, one per line (- for stdin)')
+  .option('--sitemap <url>', 'also download every page listed in this sitemap.xml, sitemap index or .xml.gz')
   .option('-o --output [dir]', 'output directory (defaults to URL-based name)')
+  .option('-d --depth <n>', 'follow same-host links up to this depth', parseCount, 0)
+  .option('--max-pages <n>', 'stop crawling after this many pages', parseCount, 100)
+  .option('-c --concurrency <n>', 'maximum number of parallel requests', parsePositiveCount, 10)
+  .option('--host-concurrency <n>', 'maximum number of parallel requests per host (defaults to --concurrency)', parsePositiveCount)
+  .option('--host-delay <ms>', 'minimum delay between requests to the same host', parseCount, 0)
+  .option('--retries <n>', 'retry failed requests this many times', parseCount, 0)
+  .option('--retry-delay <ms>', 'base delay before the first retry, doubled on each attempt', parseCount, 1000)
+  .option('--max-retry-delay <ms>', 'give up on a request whose Retry-After asks for a longer wait', parseCount, 60000)
+  .option('--timeout <ms>', 'give up on a request after this long without a response (0 waits forever)', parseCount, 30000)
+  .option('--deadline <ms>', 'give up on the whole download after this long', parsePositiveCount)
+  .option('-k --keep-going', 'save the page even if some resources fail to download')
+  .option('-s --single-file', 'embed all resources into one self-contained HTML file')
+  .option('-m --manifest [file]', 'write a JSON manifest of downloaded resources (defaults to <page>.manifest.json)')
+  .option('-u --incremental', 'reuse unchanged resources from a previous run using ETag / Last-Modified')
+  .option('--shared-store', `save resources of all pages once, by content, in ${STORE_DIR_NAME}/`)
+  .option('--gc', 'with --shared-store, remove stored assets no saved page uses anymore')
+  .option('--include-subdomains', 'also download resources from subdomains of the page host (and its www. variant)')
+  .option('--allow-host <pattern>', 'also download resources from hosts matching this pattern, e.g. *.cdn.net (repeatable)', collect, [])
+  .option('--deny-host <pattern>', 'never download resources from hosts matching this pattern (repeatable)', collect, [])
+  .option('--all-hosts', 'download resources from any host not denied')
+  .option('--include-kind <kinds>', `only download these kinds of resources: ${RESOURCE_KINDS.join(', ')} (repeatable)`, collectList, [])
+  .option('--exclude-kind <kinds>', 'never download these kinds of resources (repeatable)', collectList, [])
+  .option('--include <pattern>', 'only download resources whose URL matches this glob or /regex/ (repeatable)', collect, [])
+  .option('--exclude <pattern>', 'never download resources whose URL matches this glob or /regex/ (repeatable)', collect, [])
+  .option('--include-type <type>', 'only keep resources of this MIME type, e.g. image/* (repeatable)', collect, [])
+  .option('--exclude-type <type>', 'skip resources of this MIME type (repeatable)', collect, [])
+  .option('--max-size <size>', 'skip resources larger than this, e.g. 500K or 20M', parseSize)
+  .option('-H --header <header>', 'send this "Name: value" header to the page origin (repeatable)', collectHeader, {})
+  .option('-A --user-agent <agent>', 'User-Agent to send with every request')
+  .option('--cookie <cookies>', 'send these "name=value; ..." cookies to the page host (repeatable)', collect, [])
+  .option('--cookie-file <file>', 'load cookies from a Netscape cookies.txt file')
+  .addOption(new Option('--auth <user:password>', 'basic authentication for the page origin').argParser(parseCredentials).conflicts('bearer'))
+  .option('--bearer <token>', 'bearer token for the page origin')
+  .option('--robots', 'skip pages robots.txt disallows for the user agent and honor its Crawl-delay')
+  .option('-x --proxy <url>', 'send requests through this http(s):// or socks5:// proxy (defaults to HTTP_PROXY / HTTPS_PROXY)')
+  .addOption(new Option('-f --format <format>', 'output format').choices(['html', 'warc', 'warc.gz']).default('html'))
+  .addOption(new Option('--on-exists <policy>', 'when the page was already saved: replace it, keep it or stop with an error')
+    .choices(['overwrite', 'skip', 'fail']).default('overwrite'))
   .action(async (url, options) => {
+    if (options.inputFile || options.sitemap) {
+      await runBatch(url, options)
+      return
+    }
+    if (!url) {
+      program.error('error: missing required argument \'url\' (or --input-file, --sitemap)')
+    }
+
     log('Page-loader started with URL: %s', url)
 
     // Use current directory if no output specified (download to current workdir)
@@ -22,15 +260,29 @@ program
     log('Output directory: %s', outputPath)
     log('Using %s output directory', options.output ? 'specified' : 'current workdir')
 
+    const signal = interruptOnSigint()
     try {
-      const filePath = await load(url, outputPath)
-      log('Operation completed successfully: %s', filePath)
-      console.log(filePath)
+      const result = await load(url, toLoadOptions(options, outputPath, signal))
+      log(result.skipped ? 'Already saved: %s' : 'Operation completed successfully: %s', result.filepath)
+      console.log(result.filepath)
+      if (options.manifest) {
+        log('Manifest saved: %s', result.manifestPath)
+      }
+
+      reportBlocked(result.blocked)
+      const { failures } = result
+      if (failures.length > 0) {
+        console.error(`Failed to download ${failures.length} resource(s):`)
+        for (const { url: failedUrl, error } of failures) {
+          console.error(`  ${failedUrl}: ${error.message}`)
+        }
+        // Partial success: the page was saved, but not everything on it
+        process.exit(PARTIAL_SUCCESS_EXIT_CODE)
+      }
     }
     catch (error) {
       log('Operation failed: %s', error.message)
-      console.error(`Error: ${error.message}`)
-      process.exit(1)
+      exitWithError(error, signal)
     }
   })
 
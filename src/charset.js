@@ -0,0 +1,97 @@
+// src/charset.js
+import debug from 'debug'
+
+const log = debug('page-loader')
+
+const DEFAULT_CHARSET = 'utf-8'
+
+// Browsers only look for a <meta> declaration in the first 1024 bytes
+const META_PRESCAN_LENGTH = 1024
+
+const BOMS = [
+  { charset: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { charset: 'utf-16le', bytes: [0xFF, 0xFE] },
+  { charset: 'utf-16be', bytes: [0xFE, 0xFF] },
+]
+
+const META_PATTERNS = [
+  /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i,
+  /<meta[^>]+content\s*=\s*["'][^"']*charset\s*=\s*([\w.:-]+)/i,
+]
+
+const getBomCharset = (bytes) => {
+  const bom = BOMS.find(({ bytes: signature }) => signature.every((byte, index) => bytes[index] === byte))
+  return bom?.charset ?? null
+}
+
+const getHeaderCharset = contentType => contentType?.match(/charset\s*=\s*["']?([\w.:-]+)/i)?.[1] ?? null
+
+const getMetaCharset = (bytes) => {
+  const head = bytes.subarray(0, META_PRESCAN_LENGTH).toString('latin1')
+  return META_PATTERNS.map(pattern => head.match(pattern)?.[1]).find(Boolean) ?? null
+}
+
+// Normalizes a label to the canonical encoding name, or null when the label is unknown
+const resolveCharset = (label) => {
+  try {
+    return new TextDecoder(label).encoding
+  }
+  catch {
+    return null
+  }
+}
+
+/**
+ * Works out the encoding of an HTML document the way browsers do:
+ * byte order mark first, then the Content-Type header, then a <meta> declaration.
+ * @param {Buffer} bytes
+ * @param {string | undefined} contentType
+ * @returns {string} canonical encoding name, e.g. windows-1251
+ */
+const detectCharset = (bytes, contentType) => {
+  const candidates = [getBomCharset(bytes), getHeaderCharset(contentType), getMetaCharset(bytes)]
+  for (const label of candidates.filter(Boolean)) {
+    const charset = resolveCharset(label)
+    if (charset) {
+      return charset
+    }
+    log('Ignoring unknown charset: %s', label)
+  }
+  return DEFAULT_CHARSET
+}
+
+/**
+ * Decodes a downloaded HTML document.
+ * @param {Buffer | ArrayBuffer | string} data
+ * @param {string | undefined} contentType
+ * @returns {{ html: string, charset: string }}
+ */
+const decodeHtml = (data, contentType) => {
+  const bytes = Buffer.from(data)
+  const charset = detectCharset(bytes, contentType)
+  return { html: new TextDecoder(charset).decode(bytes), charset }
+}
+
+/**
+ * Makes a transcoded document declare UTF-8, which is how it is saved.
+ * @param {import('cheerio').CheerioAPI} $
+ */
+const declareUtf8 = ($) => {
+  let declared = false
+  $('meta[charset]').each((_, element) => {
+    $(element).attr('charset', DEFAULT_CHARSET)
+    declared = true
+  })
+  $('meta[http-equiv]').filter((_, element) => $(element).attr('http-equiv').toLowerCase() === 'content-type')
+    .each((_, element) => {
+      $(element).attr('content', `text/html; charset=${DEFAULT_CHARSET}`)
+      declared = true
+    })
+
+  if (!declared) {
+    // Without a declaration, a saved copy opened from disk would be read in the browser's default encoding
+    $('head').prepend(`<meta charset="${DEFAULT_CHARSET}">`)
+  }
+}
+
+export { DEFAULT_CHARSET, detectCharset, decodeHtml, declareUtf8 }
@@ -0,0 +1,185 @@
+// src/cookies.js
+import { readFile } from 'node:fs/promises'
+import debug from 'debug'
+import { getPublicSuffix } from 'tldts'
+
+const log = debug('page-loader')
+
+// Netscape cookies.txt marks HttpOnly cookies with this prefix instead of a column
+const HTTP_ONLY_PREFIX = '#HttpOnly_'
+
+const normalizeDomain = domain => domain.trim().replace(/^\./, '').toLowerCase()
+
+const domainMatches = (cookie, hostname) => (cookie.hostOnly
+  ? hostname === cookie.domain
+  : hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`))
+
+const pathMatches = (cookiePath, requestPath) => requestPath === cookiePath
+  || requestPath.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`)
+
+// The directory of the request path, as RFC 6265 prescribes for cookies without a Path
+const getDefaultPath = (pathname) => {
+  const lastSlash = pathname.lastIndexOf('/')
+  return lastSlash > 0 ? pathname.slice(0, lastSlash) : '/'
+}
+
+const parseExpiry = (attributes) => {
+  const maxAge = attributes.get('max-age')
+  if (maxAge !== undefined && /^-?\d+$/.test(maxAge)) {
+    return Date.now() + Number(maxAge) * 1000
+  }
+  const expires = attributes.get('expires')
+  const date = expires ? Date.parse(expires) : Number.NaN
+  return Number.isNaN(date) ? null : date
+}
+
+/**
+ * Parses a Set-Cookie header received from requestUrl; returns null for cookies the
+ * host is not allowed to set.
+ * @param {string} header
+ * @param {string} requestUrl
+ */
+const parseSetCookie = (header, requestUrl) => {
+  const [pair, ...rest] = header.split(';')
+  const separator = pair.indexOf('=')
+  if (separator <= 0) {
+    return null
+  }
+  const attributes = new Map(rest.map((attribute) => {
+    const [name, ...value] = attribute.split('=')
+    return [name.trim().toLowerCase(), value.join('=').trim()]
+  }))
+
+  const { hostname, pathname } = new URL(requestUrl)
+  const domain = attributes.get('domain') ? normalizeDomain(attributes.get('domain')) : hostname
+  // A public suffix such as com or co.uk spans unrelated sites; a host that is one itself
+  // only gets a host-only cookie, as in browsers
+  const isPublicSuffix = getPublicSuffix(domain, { allowPrivateDomains: true }) === domain
+  if (isPublicSuffix && domain !== hostname) {
+    log('Ignoring cookie for public suffix %s set by %s', domain, hostname)
+    return null
+  }
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain,
+    hostOnly: !attributes.get('domain') || isPublicSuffix,
+    path: attributes.get('path')?.startsWith('/') ? attributes.get('path') : getDefaultPath(pathname),
+    secure: attributes.has('secure'),
+    expires: parseExpiry(attributes),
+  }
+  // A host may only set cookies for itself or a parent domain
+  return domainMatches({ ...cookie, hostOnly: false }, hostname) ? cookie : null
+}
+
+/**
+ * Parses a Netscape cookies.txt file, as exported by browsers and curl.
+ * @param {string} text
+ */
+const parseNetscapeCookies = text => text.split(/\r?\n/)
+  .map(line => (line.startsWith(HTTP_ONLY_PREFIX) ? line.slice(HTTP_ONLY_PREFIX.length) : line))
+  .filter(line => line.trim() && !line.startsWith('#'))
+  .map(line => line.split('\t'))
+  .filter(fields => fields.length >= 7)
+  .map(([domain, includeSubdomains, path, secure, expires, name, ...value]) => ({
+    name,
+    value: value.join('\t'),
+    domain: normalizeDomain(domain),
+    hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+    path: path || '/',
+    secure: secure.toUpperCase() === 'TRUE',
+    // 0 marks a session cookie
+    expires: Number(expires) > 0 ? Number(expires) * 1000 : null,
+  }))
+
+/**
+ * Parses cookies given as `name=value; other=value`, for the given host only.
+ * @param {string} text
+ * @param {string} hostname
+ */
+const parseCookieList = (text, hostname) => text.split(';')
+  .map(pair => pair.trim())
+  .filter(pair => pair.indexOf('=') > 0)
+  .map(pair => ({
+    name: pair.slice(0, pair.indexOf('=')).trim(),
+    value: pair.slice(pair.indexOf('=') + 1).trim(),
+    domain: hostname,
+    hostOnly: true,
+    path: '/',
+    secure: false,
+    expires: null,
+  }))
+
+/**
+ * Keeps cookies for the whole run and hands each request the ones meant for its URL.
+ */
+const createCookieJar = () => {
+  const cookies = new Map()
+
+  const add = (cookie) => {
+    const key = `${cookie.domain};${cookie.path};${cookie.name}`
+    if (cookie.expires !== null && cookie.expires <= Date.now()) {
+      // An expiry in the past is how servers delete a cookie
+      cookies.delete(key)
+      return
+    }
+    cookies.set(key, cookie)
+  }
+
+  /**
+   * @param {string | string[] | undefined} headers Set-Cookie values of a response
+   * @param {string} requestUrl
+   */
+  const setCookies = (headers, requestUrl) => {
+    for (const header of [headers ?? []].flat()) {
+      const cookie = parseSetCookie(header, requestUrl)
+      if (cookie) {
+        add(cookie)
+      }
+      else {
+        log('Ignoring cookie set for another domain by %s', requestUrl)
+      }
+    }
+  }
+
+  /**
+   * @param {string} requestUrl
+   * @returns {string | null} value for the Cookie request header
+   */
+  const getCookieHeader = (requestUrl) => {
+    const { protocol, hostname, pathname } = new URL(requestUrl)
+    const now = Date.now()
+    const matching = [...cookies.values()]
+      .filter(cookie => domainMatches(cookie, hostname)
+        && pathMatches(cookie.path, pathname)
+        && (!cookie.secure || protocol === 'https:')
+        && (cookie.expires === null || cookie.expires > now))
+      // Longer paths first, as browsers send them
+      .sort((a, b) => b.path.length - a.path.length)
+    return matching.length > 0 ? matching.map(({ name, value }) => `${name}=${value}`).join('; ') : null
+  }
+
+  /**
+   * @param {string} filepath Netscape cookies.txt
+   */
+  const loadFile = async (filepath) => {
+    let text
+    try {
+      text = await readFile(filepath, 'utf-8')
+    }
+    catch (error) {
+      throw new Error(`Cannot read cookie file ${filepath}: ${error.message}`)
+    }
+    const parsed = parseNetscapeCookies(text)
+    parsed.forEach(add)
+    log('Loaded %d cookie(s) from %s', parsed.length, filepath)
+  }
+
+  return {
+    add, setCookies, getCookieHeader, loadFile,
+  }
+}
+
+export {
+  parseSetCookie, parseNetscapeCookies, parseCookieList, createCookieJar,
+}
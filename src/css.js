@@ -0,0 +1,49 @@
+// src/css.js
+
+// Matches, in order: @import "file.css", @import url(file.css) and any other url(...)
+const REFERENCE_PATTERN = /@import\s+(['"])(.+?)\1|@import\s+url\(\s*(['"]?)(.+?)\3\s*\)|url\(\s*(['"]?)(.+?)\5\s*\)/g
+
+const isFetchableReference = (ref) => {
+  const value = ref.trim()
+  return value !== '' && !value.startsWith('data:') && !value.startsWith('#')
+}
+
+const replaceCssReferences = (css, replacer) => css.replace(
+  REFERENCE_PATTERN,
+  (match, importQuote, importRef, importUrlQuote, importUrlRef, urlQuote, urlRef) => {
+    if (importRef !== undefined) {
+      const newRef = isFetchableReference(importRef) ? replacer(importRef, 'import') : undefined
+      return newRef === undefined ? match : `@import ${importQuote}${newRef}${importQuote}`
+    }
+    if (importUrlRef !== undefined) {
+      const newRef = isFetchableReference(importUrlRef) ? replacer(importUrlRef, 'import') : undefined
+      return newRef === undefined ? match : `@import url(${importUrlQuote}${newRef}${importUrlQuote})`
+    }
+    const newRef = isFetchableReference(urlRef) ? replacer(urlRef, 'asset') : undefined
+    return newRef === undefined ? match : `url(${urlQuote}${newRef}${urlQuote})`
+  },
+)
+
+/**
+ * Collects every url() and @import reference of a stylesheet.
+ * @param {string} css
+ * @returns {{ ref: string, kind: 'import' | 'asset' }[]}
+ */
+const extractCssReferences = (css) => {
+  const references = []
+  replaceCssReferences(css, (ref, kind) => {
+    references.push({ ref, kind })
+    return undefined
+  })
+  return references
+}
+
+/**
+ * Replaces references found in the mapping (original ref -> new ref), leaving the rest as is.
+ * @param {string} css
+ * @param {Map<string, string>} mapping
+ * @returns {string}
+ */
+const rewriteCssReferences = (css, mapping) => replaceCssReferences(css, ref => mapping.get(ref))
+
+export { extractCssReferences, rewriteCssReferences }
@@ -0,0 +1,129 @@
+// src/filters.js
+import { compileGlob } from './glob.js'
+import { DEFAULT_TYPE, getMimeType } from './mime.js'
+
+const RESOURCE_KINDS = ['images', 'css', 'js', 'media', 'fonts', 'other']
+
+const getKindForType = (mimeType) => {
+  if (mimeType.startsWith('image/')) {
+    return 'images'
+  }
+  if (mimeType === 'text/css') {
+    return 'css'
+  }
+  if (mimeType === 'text/javascript') {
+    return 'js'
+  }
+  if (mimeType.startsWith('video/') || mimeType.startsWith('audio/') || mimeType === 'text/vtt') {
+    return 'media'
+  }
+  if (mimeType.startsWith('font/') || mimeType === 'application/vnd.ms-fontobject') {
+    return 'fonts'
+  }
+  return 'other'
+}
+
+/**
+ * Tells what kind of resource a URL is, from its extension or, when that says nothing,
+ * from where it is referenced (kindHint).
+ * @param {string} resourceUrl
+ * @param {string | null} [kindHint]
+ * @returns {string} one of RESOURCE_KINDS
+ */
+const getResourceKind = (resourceUrl, kindHint = null) => {
+  const mimeType = getMimeType(resourceUrl)
+  if (mimeType === DEFAULT_TYPE) {
+    return kindHint ?? 'other'
+  }
+  return getKindForType(mimeType)
+}
+
+// `/.../flags` is a regular expression, anything else a glob where `*` matches any run of characters
+const compileUrlPattern = (pattern) => {
+  const regExpSyntax = pattern.match(/^\/(.+)\/([a-z]*)$/)
+  if (regExpSyntax) {
+    return new RegExp(regExpSyntax[1], regExpSyntax[2])
+  }
+  return compileGlob(pattern, { singleChar: '.' })
+}
+
+// MIME patterns such as `image/*` or `video/mp4`
+const compileTypePattern = pattern => compileGlob(pattern.trim().toLowerCase(), { anyRun: '[^/]*' })
+
+const checkKinds = (kinds) => {
+  const unknown = kinds.find(kind => !RESOURCE_KINDS.includes(kind))
+  if (unknown) {
+    throw new Error(`Unknown resource kind: ${unknown}, expected one of ${RESOURCE_KINDS.join(', ')}`)
+  }
+}
+
+/**
+ * Builds the checks deciding which resources are downloaded. Include lists, when given,
+ * must match; exclude lists always win. Each check returns the reason a resource is
+ * skipped, or null when it is wanted.
+ * @param {{
+ *   includeKinds?: string[], excludeKinds?: string[],
+ *   includeUrls?: string[], excludeUrls?: string[],
+ *   includeTypes?: string[], excludeTypes?: string[],
+ *   maxSize?: number,
+ * }} [options]
+ */
+const createResourceFilter = (options = {}) => {
+  const {
+    includeKinds = [], excludeKinds = [],
+    includeUrls = [], excludeUrls = [],
+    includeTypes = [], excludeTypes = [],
+    maxSize,
+  } = options
+  checkKinds([...includeKinds, ...excludeKinds])
+  if (maxSize !== undefined && !(Number.isInteger(maxSize) && maxSize >= 0)) {
+    throw new Error(`Invalid maximum size: ${maxSize}`)
+  }
+
+  const included = includeUrls.map(compileUrlPattern)
+  const excluded = excludeUrls.map(compileUrlPattern)
+  const includedTypes = includeTypes.map(compileTypePattern)
+  const excludedTypes = excludeTypes.map(compileTypePattern)
+
+  /**
+   * Checked before downloading.
+   * @param {string} resourceUrl
+   * @param {string} kind
+   * @returns {string | null}
+   */
+  const checkUrl = (resourceUrl, kind) => {
+    if (excludeKinds.includes(kind) || (includeKinds.length > 0 && !includeKinds.includes(kind))) {
+      return `${kind} are filtered out`
+    }
+    if (excluded.some(pattern => pattern.test(resourceUrl))) {
+      return 'URL is excluded'
+    }
+    if (included.length > 0 && !included.some(pattern => pattern.test(resourceUrl))) {
+      return 'URL is not included'
+    }
+    return null
+  }
+
+  /**
+   * Checked once the response headers are known.
+   * @param {string | null} contentType
+   * @returns {string | null}
+   */
+  const checkType = (contentType) => {
+    if (excludedTypes.length === 0 && includedTypes.length === 0) {
+      return null
+    }
+    const essence = contentType?.split(';')[0].trim().toLowerCase() ?? ''
+    if (excludedTypes.some(pattern => pattern.test(essence))) {
+      return `${essence} is excluded`
+    }
+    if (includedTypes.length > 0 && !includedTypes.some(pattern => pattern.test(essence))) {
+      return `${essence || 'unknown type'} is not included`
+    }
+    return null
+  }
+
+  return { checkUrl, checkType, maxSize }
+}
+
+export { RESOURCE_KINDS, getResourceKind, createResourceFilter }
@@ -0,0 +1,32 @@
+// src/glob.js
+
+const escapeRegExp = text => text.replaceAll(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Turns a glob into regular expression source: `*` matches any run of characters,
+ * `?` one character when singleChar is set, everything else itself.
+ * @param {string} glob
+ * @param {{ anyRun?: string, singleChar?: string | null }} [options] what `*` and `?` stand for
+ * @returns {string}
+ */
+const globToSource = (glob, { anyRun = '.*', singleChar = null } = {}) => [...glob]
+  .map((char) => {
+    if (char === '*') {
+      return anyRun
+    }
+    if (char === '?' && singleChar) {
+      return singleChar
+    }
+    return escapeRegExp(char)
+  })
+  .join('')
+
+/**
+ * Compiles a glob that must match the whole text.
+ * @param {string} glob
+ * @param {{ anyRun?: string, singleChar?: string | null }} [options]
+ * @returns {RegExp}
+ */
+const compileGlob = (glob, options) => new RegExp(`^${globToSource(glob, options)}$`)
+
+export { escapeRegExp, globToSource, compileGlob }
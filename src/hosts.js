@@ -0,0 +1,43 @@
+// src/hosts.js
+import { compileGlob } from './glob.js'
+
+// Host patterns are hostnames where `*` matches any run of characters, e.g. `*.cdn.example.net`
+const compilePattern = pattern => compileGlob(pattern.trim().toLowerCase())
+
+// www.example.com and example.com are the same site
+const getSiteDomain = hostname => hostname.replace(/^www\./, '')
+
+const isSubdomainOf = (hostname, pageHostname) => {
+  const site = getSiteDomain(pageHostname)
+  return hostname === site || hostname.endsWith(`.${site}`)
+}
+
+/**
+ * Builds the check deciding which resources are downloaded. The page's own host is always
+ * allowed; the deny list wins over everything else.
+ * @param {{ includeSubdomains?: boolean, allowHosts?: string[], denyHosts?: string[], allHosts?: boolean }} [options]
+ * @returns {(resourceUrl: string, pageUrl: string) => boolean}
+ */
+const createHostPolicy = (options = {}) => {
+  const { includeSubdomains = false, allowHosts = [], denyHosts = [], allHosts = false } = options
+  const allowed = allowHosts.map(compilePattern)
+  const denied = denyHosts.map(compilePattern)
+
+  return (resourceUrl, pageUrl) => {
+    const { protocol, hostname } = new URL(resourceUrl)
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      return false
+    }
+    if (denied.some(pattern => pattern.test(hostname))) {
+      return false
+    }
+
+    const pageHostname = new URL(pageUrl).hostname
+    return allHosts
+      || hostname === pageHostname
+      || (includeSubdomains && isSubdomainOf(hostname, pageHostname))
+      || allowed.some(pattern => pattern.test(hostname))
+  }
+}
+
+export default createHostPolicy
@@ -0,0 +1,122 @@
+// src/limiter.js
+import debug from 'debug'
+
+const log = debug('page-loader')
+
+/**
+ * Creates a scheduler that caps how many tasks run at once, both overall and per host,
+ * and optionally spaces out task starts for the same host.
+ * @param {{ concurrency?: number, hostConcurrency?: number, hostDelay?: number }} [options]
+ */
+const createLimiter = (options = {}) => {
+  const { concurrency = Infinity, hostConcurrency = Infinity, hostDelay = 0 } = options
+  if (!(concurrency >= 1) || !(hostConcurrency >= 1)) {
+    throw new Error(`Invalid concurrency: ${Math.min(concurrency, hostConcurrency)}, expected at least 1`)
+  }
+  const queue = []
+  const hosts = new Map()
+  let active = 0
+
+  const getHostState = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, nextStart: 0, delay: 0, timer: null })
+    }
+    return hosts.get(host)
+  }
+
+  const release = (hostState) => {
+    active -= 1
+    hostState.active -= 1
+    pump()
+  }
+
+  // Lets a running task give up its slot while it waits, e.g. before a retry;
+  // it gets the slot back ahead of the tasks queued since
+  const createPause = (host, hostState) => async (waiting) => {
+    release(hostState)
+    try {
+      return await waiting
+    }
+    finally {
+      await new Promise((resolve) => {
+        queue.unshift({ host, resume: true, resolve })
+        pump()
+      })
+    }
+  }
+
+  const run = async (job, hostState) => {
+    active += 1
+    hostState.active += 1
+    hostState.nextStart = Date.now() + Math.max(hostDelay, hostState.delay)
+
+    // A paused task holds the slot again, it is released when the task ends
+    if (job.resume) {
+      job.resolve()
+      return
+    }
+    try {
+      job.resolve(await job.task(createPause(job.host, hostState)))
+    }
+    catch (error) {
+      job.reject(error)
+    }
+    finally {
+      release(hostState)
+    }
+  }
+
+  const pump = () => {
+    let index = 0
+    while (index < queue.length && active < concurrency) {
+      const job = queue[index]
+      const hostState = getHostState(job.host)
+      const wait = hostState.nextStart - Date.now()
+
+      if (hostState.active >= hostConcurrency) {
+        index += 1
+      }
+      else if (wait > 0) {
+        // Wake up once the host may be contacted again
+        hostState.timer ??= setTimeout(() => {
+          hostState.timer = null
+          pump()
+        }, wait)
+        index += 1
+      }
+      else {
+        queue.splice(index, 1)
+        run(job, hostState)
+      }
+    }
+  }
+
+  /**
+   * Queues a task that talks to the host of the given URL. The task is passed a pause function:
+   * `await pause(promise)` frees its slot until the promise settles, then waits for a slot again.
+   * @template T
+   * @param {string} url
+   * @param {(pause: <P>(waiting: Promise<P>) => Promise<P>) => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  const schedule = (url, task) => new Promise((resolve, reject) => {
+    queue.push({ host: new URL(url).host, task, resolve, reject })
+    pump()
+    if (queue.length > 0) {
+      log('Request limit reached, %d request(s) waiting', queue.length)
+    }
+  })
+
+  /**
+   * Spaces out tasks for the host of the given URL by at least ms, e.g. a robots.txt Crawl-delay.
+   * @param {string} url
+   * @param {number} ms
+   */
+  const setHostDelay = (url, ms) => {
+    getHostState(new URL(url).host).delay = ms
+  }
+
+  return { schedule, setHostDelay }
+}
+
+export default createLimiter
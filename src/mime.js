@@ -0,0 +1,166 @@
+// src/mime.js
+import { extname } from 'node:path'
+
+const DEFAULT_TYPE = 'application/octet-stream'
+
+// Common page resources; anything else falls back to the server's Content-Type
+const TYPES_BY_EXTENSION = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.ogv': 'video/ogg',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.vtt': 'text/vtt',
+}
+
+// Extension for each type: the first one listed above, plus aliases servers commonly send
+const EXTENSIONS_BY_TYPE = {
+  ...Object.fromEntries(Object.entries(TYPES_BY_EXTENSION)
+    .reverse()
+    .map(([extension, type]) => [type, extension])),
+  'application/javascript': '.js',
+  'application/x-javascript': '.js',
+  'image/vnd.microsoft.icon': '.ico',
+  'text/plain': '.txt',
+  'application/xml': '.xml',
+  'text/xml': '.xml',
+  'application/pdf': '.pdf',
+  'font/sfnt': '.ttf',
+  'application/font-woff': '.woff',
+  'application/x-font-ttf': '.ttf',
+}
+
+// Types that say nothing about the content and must be sniffed instead
+const GENERIC_TYPES = new Set([DEFAULT_TYPE, 'binary/octet-stream', 'application/unknown', 'application/binary'])
+
+const FALLBACK_EXTENSION = '.bin'
+
+const startsWith = (bytes, signature, offset = 0) => signature
+  .every((byte, index) => bytes[offset + index] === byte)
+
+const ascii = text => [...text].map(char => char.charCodeAt(0))
+
+// Magic numbers of common page resources
+const SIGNATURES = [
+  { type: 'image/png', test: bytes => startsWith(bytes, [0x89, 0x50, 0x4E, 0x47]) },
+  { type: 'image/jpeg', test: bytes => startsWith(bytes, [0xFF, 0xD8, 0xFF]) },
+  { type: 'image/gif', test: bytes => startsWith(bytes, ascii('GIF8')) },
+  { type: 'image/webp', test: bytes => startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8) },
+  { type: 'image/x-icon', test: bytes => startsWith(bytes, [0x00, 0x00, 0x01, 0x00]) },
+  { type: 'application/pdf', test: bytes => startsWith(bytes, ascii('%PDF')) },
+  { type: 'font/woff', test: bytes => startsWith(bytes, ascii('wOFF')) },
+  { type: 'font/woff2', test: bytes => startsWith(bytes, ascii('wOF2')) },
+  { type: 'font/ttf', test: bytes => startsWith(bytes, [0x00, 0x01, 0x00, 0x00]) },
+  { type: 'font/otf', test: bytes => startsWith(bytes, ascii('OTTO')) },
+  { type: 'video/mp4', test: bytes => startsWith(bytes, ascii('ftyp'), 4) },
+  { type: 'video/webm', test: bytes => startsWith(bytes, [0x1A, 0x45, 0xDF, 0xA3]) },
+  { type: 'audio/ogg', test: bytes => startsWith(bytes, ascii('OggS')) },
+  { type: 'audio/mpeg', test: bytes => startsWith(bytes, ascii('ID3')) || startsWith(bytes, [0xFF, 0xFB]) },
+]
+
+/**
+ * Guesses a MIME type from the first bytes of the content.
+ * @param {Buffer | ArrayBuffer | string} data
+ * @returns {string | null}
+ */
+const sniffMimeType = (data) => {
+  const bytes = Buffer.from(data).subarray(0, 512)
+  const signature = SIGNATURES.find(({ test }) => test(bytes))
+  if (signature) {
+    return signature.type
+  }
+
+  const text = bytes.toString('utf-8').trimStart().toLowerCase()
+  if (text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg'))) {
+    return 'image/svg+xml'
+  }
+  if (text.startsWith('<!doctype html') || text.startsWith('<html')) {
+    return 'text/html'
+  }
+  return null
+}
+
+/**
+ * Strips parameters such as charset from a Content-Type header value.
+ * @param {string | undefined} contentType
+ * @returns {string | null}
+ */
+const getEssence = (contentType) => {
+  const essence = contentType?.split(';')[0].trim().toLowerCase()
+  return essence || null
+}
+
+const HTML_TYPES = new Set(['text/html', 'application/xhtml+xml'])
+
+/**
+ * Whether a response can be parsed and saved as a page; servers that send no type get the benefit of the doubt.
+ * @param {string | undefined} contentType
+ * @returns {boolean}
+ */
+const isHtmlType = (contentType) => {
+  const essence = getEssence(contentType)
+  return essence === null || HTML_TYPES.has(essence)
+}
+
+/**
+ * Picks the MIME type of a downloaded resource, preferring what the server said.
+ * @param {string} resourceUrl
+ * @param {string | undefined} contentType
+ * @returns {string}
+ */
+const getMimeType = (resourceUrl, contentType) => {
+  const essence = getEssence(contentType)
+  if (essence && !GENERIC_TYPES.has(essence)) {
+    return essence
+  }
+  const extension = extname(new URL(resourceUrl).pathname).toLowerCase()
+  return TYPES_BY_EXTENSION[extension] ?? DEFAULT_TYPE
+}
+
+/**
+ * Picks a file extension for a resource whose URL has none, from the Content-Type
+ * header or, when that is missing or generic, from the content itself.
+ * @param {string | undefined} contentType
+ * @param {Buffer | ArrayBuffer | string} data
+ * @returns {string}
+ */
+const getExtensionForContent = (contentType, data) => {
+  const essence = getEssence(contentType)
+  if (essence && !GENERIC_TYPES.has(essence) && EXTENSIONS_BY_TYPE[essence]) {
+    return EXTENSIONS_BY_TYPE[essence]
+  }
+  const sniffed = sniffMimeType(data)
+  return sniffed ? EXTENSIONS_BY_TYPE[sniffed] : FALLBACK_EXTENSION
+}
+
+/**
+ * @param {Buffer | ArrayBuffer | string} data
+ * @param {string} mimeType
+ * @returns {string}
+ */
+const toDataUri = (data, mimeType) => `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`
+
+export {
+  DEFAULT_TYPE, getMimeType, getExtensionForContent, isHtmlType, sniffMimeType, toDataUri,
+}
@@ -1,16 +1,43 @@
 // src/pageLoader.js
 import axios from 'axios'
 import * as cheerio from 'cheerio'
-import { writeFile, mkdir, access } from 'node:fs/promises'
-import { resolve, join, extname } from 'node:path'
+import {
+  writeFile, mkdir, access, stat, copyFile, rename, rm,
+} from 'node:fs/promises'
+import { resolve, join, dirname, extname, relative } from 'node:path'
+import { createHash, randomUUID } from 'node:crypto'
+import { buffer } from 'node:stream/consumers'
 import debug from 'debug'
 import { Listr } from 'listr2'
+import { extractCssReferences, rewriteCssReferences } from './css.js'
+import { parseSrcset, serializeSrcset } from './srcset.js'
+import createLimiter from './limiter.js'
+import { DEFAULT_MAX_RETRY_DELAY, withRetries } from './retry.js'
+import {
+  getMimeType, getExtensionForContent, isHtmlType, toDataUri,
+} from './mime.js'
+import createWarcWriter from './warc.js'
+import createHostPolicy from './hosts.js'
+import { getResourceKind, createResourceFilter } from './filters.js'
+import { DEFAULT_CHARSET, decodeHtml, declareUtf8 } from './charset.js'
+import { createCookieJar, parseCookieList } from './cookies.js'
+import createRequestHeaders from './requestHeaders.js'
+import createProxyResolver from './proxy.js'
+import {
+  STORE_DIR_NAME, getAssetName, writeAsset, storeAsset, collectGarbage,
+} from './store.js'
+import { createRobotsRules, ALLOW_ALL, DISALLOW_ALL } from './robots.js'
+import { collectSitemapUrls } from './sitemap.js'
+import { createStagingDir, commitStaging, discardStaging } from './staging.js'
+import { RESOURCE_TOO_LARGE, tooLarge, writeBody } from './streaming.js'
+import {
+  hashContent, loadValidators, saveValidators, getConditionalHeaders, isFileIntact,
+} from './validators.js'
 
 const log = debug('page-loader')
 
 // Enable axios debug logging
 if (debug.enabled('page-loader')) {
-  axios.defaults.timeout = 30000
   axios.interceptors.request.use((config) => {
     log('HTTP Request: %s %s', config.method?.toUpperCase() || 'GET', config.url)
     return config
@@ -32,47 +59,194 @@ if (debug.enabled('page-loader')) {
   )
 }
 
-const generateFilename = (url) => {
+// Query strings are part of the name: /list?page=2 is another page than /list?page=1
+const getPageBaseName = (url) => {
   const urlObj = new URL(url)
-  const fullPath = `${urlObj.hostname}${urlObj.pathname}`.replace(/\/$/, '')
-  const filename = fullPath.replaceAll(/[^a-zA-Z0-9]/g, '-')
-  return `${filename}.html`
+  const fullPath = `${urlObj.hostname}${urlObj.pathname}`.replace(/\/$/, '') + urlObj.search
+  const baseName = fullPath.replaceAll(/[^a-zA-Z0-9]/g, '-')
+  return baseName.length > MAX_PAGE_NAME_LENGTH
+    ? `${baseName.slice(0, MAX_PAGE_NAME_LENGTH - HASH_LENGTH - 1)}-${hashUrl(url)}`
+    : baseName
 }
 
-const generateResourceDirName = (url) => {
+const generateFilename = url => `${getPageBaseName(url)}.html`
+
+// Most filesystems cap a single name at 255 bytes; names here are ASCII-only
+const MAX_FILE_NAME_LENGTH = 255
+const HASH_LENGTH = 8
+
+// Leaves room for suffixes such as `.manifest.json` and a collision hash
+const MAX_PAGE_NAME_LENGTH = MAX_FILE_NAME_LENGTH - 32
+
+const hashUrl = (url, length = HASH_LENGTH) => createHash('sha256').update(url).digest('hex').slice(0, length)
+
+const OUTPUT_FORMATS = ['html', 'warc', 'warc.gz']
+
+const ON_EXISTS_POLICIES = ['overwrite', 'skip', 'fail']
+
+const generateArchiveFilename = (url, format) => generateFilename(url).replace(/\.html$/, `.${format}`)
+
+/**
+ * Names the pages of one run, without extension. URLs that clean up to the same name,
+ * such as /a/b and /a-b, get a short hash of the URL after the first one.
+ * @returns {(url: string) => string}
+ */
+const createPageNamer = () => {
+  const names = new Map()
+  const taken = new Set()
+  return (url) => {
+    if (!names.has(url)) {
+      const baseName = getPageBaseName(url)
+      let name = baseName
+      for (let hashLength = HASH_LENGTH; taken.has(name) && hashLength <= 64; hashLength *= 2) {
+        name = `${baseName}-${hashUrl(url, hashLength)}`
+      }
+      names.set(url, name)
+      taken.add(name)
+    }
+    return names.get(url)
+  }
+}
+
+const splitFragment = (url) => {
   const urlObj = new URL(url)
-  const fullPath = `${urlObj.hostname}${urlObj.pathname}`.replace(/\/$/, '')
-  const dirName = fullPath.replaceAll(/[^a-zA-Z0-9]/g, '-')
-  return `${dirName}_files`
+  const fragment = urlObj.hash
+  urlObj.hash = ''
+  return { url: urlObj.href, fragment }
 }
 
-const generateResourceFileName = (resourceUrl) => {
+const getPathExtension = (resourceUrl) => {
+  const pathExtension = extname(new URL(resourceUrl).pathname)
+  return /^\.[a-zA-Z0-9]{1,16}$/.test(pathExtension) ? pathExtension : null
+}
+
+/**
+ * Names the local copy of a resource, relative to the resource directory. Query strings,
+ * names already taken by another URL (takenNames maps file name -> URL) and over-long paths
+ * get a short hash of the full URL, so distinct URLs never share a file. URLs without an
+ * extension of their own get contentExtension, which is picked from the response.
+ */
+const generateResourceFileName = (resourceUrl, takenNames = new Map(), { contentExtension = '', subdir = '' } = {}) => {
   const urlObj = new URL(resourceUrl)
-  let fileExtension = extname(urlObj.pathname)
+  const pathExtension = getPathExtension(resourceUrl)
 
-  // If no extension, try to guess from the path or default to .html for canonical links
-  if (!fileExtension) {
-    // For paths like "/courses" assume it's HTML
-    fileExtension = '.html'
+  const fileExtension = pathExtension ?? contentExtension
+  const pathWithoutExtension = pathExtension ? urlObj.pathname.slice(0, -pathExtension.length) : urlObj.pathname
+  const cleanPath = `${urlObj.hostname}${pathWithoutExtension}`.replaceAll(/[^a-zA-Z0-9]/g, '-')
+
+  const isTaken = name => takenNames.has(join(subdir, name)) && takenNames.get(join(subdir, name)) !== resourceUrl
+  const plainName = cleanPath + fileExtension
+  if (!urlObj.search && plainName.length <= MAX_FILE_NAME_LENGTH && !isTaken(plainName)) {
+    return join(subdir, plainName)
   }
 
-  const pathWithoutExtension = urlObj.pathname.replace(fileExtension, '')
-  const cleanPath = `${urlObj.hostname}${pathWithoutExtension}`.replaceAll(/[^a-zA-Z0-9]/g, '-')
-  return cleanPath + fileExtension
+  for (let hashLength = HASH_LENGTH; ; hashLength *= 2) {
+    const suffix = `-${hashUrl(resourceUrl, hashLength)}${fileExtension}`
+    const name = cleanPath.slice(0, MAX_FILE_NAME_LENGTH - suffix.length) + suffix
+    if (!isTaken(name) || hashLength >= 64) {
+      return join(subdir, name)
+    }
+  }
 }
 
-const isLocalResource = (resourceUrl, pageUrl) => {
+const isSameHost = (resourceUrl, pageUrl) => {
   const resourceHost = new URL(resourceUrl).hostname
   const pageHost = new URL(pageUrl).hostname
   return resourceHost === pageHost
 }
 
-const downloadImage = async (imageUrl) => {
+// Resources from other hosts get a folder per host, so their names never mix with the page's own
+const getResourceSubdir = (resourceUrl, pageUrl) => (isSameHost(resourceUrl, pageUrl)
+  ? ''
+  : new URL(resourceUrl).host.replaceAll(/[^a-zA-Z0-9.-]/g, '-'))
+
+// A stalled socket must not hang the run; timeout: 0 waits forever
+const DEFAULT_TIMEOUT = 30000
+
+const httpGet = (url, config, httpOptions = {}) => withRetries(async () => {
+  const {
+    maxSize, timeout, signal, getHeaders = () => ({}), cookieJar, getProxyAgents = () => null,
+  } = httpOptions
+  const headers = getHeaders(url)
+  const agents = getProxyAgents(url)
+  const requestConfig = {
+    ...config,
+    headers: { ...headers, ...config.headers },
+    timeout,
+    signal,
+    // Proxies are picked here, axios' own proxy support doesn't tunnel https
+    proxy: false,
+    ...agents,
+    // Headers scoped to this host must not follow a redirect to another one, which gets its own
+    beforeRedirect: (redirectOptions) => {
+      const replaced = new Set(Object.keys(headers).map(name => name.toLowerCase()))
+      for (const name of Object.keys(redirectOptions.headers)) {
+        if (replaced.has(name.toLowerCase())) {
+          delete redirectOptions.headers[name]
+        }
+      }
+      Object.assign(redirectOptions.headers, getHeaders(redirectOptions.href))
+    },
+  }
+  if (maxSize !== undefined && config.responseType !== 'stream') {
+    // axios aborts the transfer as soon as the body outgrows maxContentLength;
+    // streamed bodies are measured by whoever reads them
+    requestConfig.maxContentLength = maxSize
+  }
   try {
-    const response = await axios.get(imageUrl, { responseType: 'arraybuffer' })
-    return response.data
+    const response = await axios.get(url, requestConfig)
+    cookieJar?.setCookies(response.headers['set-cookie'], url)
+    // Streamed bodies are recorded by whoever reads them
+    if (config.responseType !== 'stream') {
+      httpOptions.onExchange?.(response)
+    }
+    return response
   }
   catch (error) {
+    // axios reports an outgrown maxContentLength as a bad response without one;
+    // 5xx answers share the code but come with their response
+    if (error.code === axios.AxiosError.ERR_BAD_RESPONSE && !error.response && error.config?.maxContentLength === maxSize) {
+      throw tooLarge(url, maxSize)
+    }
+    if (config.responseType === 'stream' && error.response?.data) {
+      // Error bodies are only kept for the archive
+      const body = error.response.data
+      if (httpOptions.onExchange) {
+        error.response.data = await buffer(body).catch(() => Buffer.alloc(0))
+      }
+      else {
+        body.destroy()
+        error.response.data = null
+      }
+    }
+    // Error responses are part of the capture too
+    if (error.response) {
+      cookieJar?.setCookies(error.response.headers?.['set-cookie'], url)
+      httpOptions.onExchange?.(error.response)
+    }
+    throw error
+  }
+}, url, httpOptions)
+
+// Binary download config; 304 is only a valid answer when validators were sent.
+// Streamed bodies stay encoded, so their length can be checked against Content-Length
+const conditionalConfig = (headers, stream) => ({
+  ...(stream ? { responseType: 'stream', decompress: false } : { responseType: 'arraybuffer' }),
+  ...(Object.keys(headers).length > 0 && {
+    headers,
+    validateStatus: status => (status >= 200 && status < 300) || status === 304,
+  }),
+})
+
+const downloadImage = async (imageUrl, httpOptions, headers = {}, { stream = false } = {}) => {
+  try {
+    const response = await httpGet(imageUrl, conditionalConfig(headers, stream), httpOptions)
+    return { data: response.data, status: response.status, headers: response.headers }
+  }
+  catch (error) {
+    if (error.code === RESOURCE_TOO_LARGE) {
+      throw error
+    }
     if (error.response?.status === 404) {
       throw new Error(`Image not found (404): ${imageUrl}`)
     }
@@ -86,12 +260,15 @@ const downloadImage = async (imageUrl) => {
   }
 }
 
-const downloadTextResource = async (resourceUrl) => {
+const downloadTextResource = async (resourceUrl, httpOptions, headers = {}, { stream = false } = {}) => {
   try {
-    const response = await axios.get(resourceUrl, { responseType: 'arraybuffer' })
-    return response.data
+    const response = await httpGet(resourceUrl, conditionalConfig(headers, stream), httpOptions)
+    return { data: response.data, status: response.status, headers: response.headers }
   }
   catch (error) {
+    if (error.code === RESOURCE_TOO_LARGE) {
+      throw error
+    }
     if (error.response?.status === 404) {
       throw new Error(`Resource not found (404): ${resourceUrl}`)
     }
@@ -111,8 +288,8 @@ const createResourceDirectory = async (resourceDir, outputDir) => {
   try {
     // First verify the output directory exists
     await access(outputDir)
-    // If it exists, create the resource directory
-    await mkdir(resourceDir)
+    // If it exists, create the resource directory, reusing the one from a previous run
+    await mkdir(resourceDir, { recursive: true })
   }
   catch (error) {
     if (error.code === 'ENOENT') {
@@ -128,173 +305,510 @@ const createResourceDirectory = async (resourceDir, outputDir) => {
   }
 }
 
-const processResourceType = async (options) => {
-  const { $, selector, attrName, resourceDir, resourceDirName, baseUrl, pageUrl, downloadFn } = options
-  const elements = selector
-  const promises = []
-  log('Found %d %s to process', elements.length, attrName)
+// The new capture is staged from scratch, files a previous run already has are carried over
+const keepPreviousFile = async (fileName, { previousDir, resourceDir }) => {
+  const filepath = join(resourceDir, fileName)
+  await mkdir(dirname(filepath), { recursive: true })
+  await copyFile(join(previousDir, fileName), filepath)
+}
 
-  for (const element of elements) {
-    const attr = $(element).attr(attrName)
+const saveResource = (resourceUrl, context, { downloadFn, transformFn, originalUrl = resourceUrl, kind = null }) => {
+  const {
+    resourceDir, previousDir, saved, session,
+  } = context
 
-    if (attr) {
-      const resourceUrl = new URL(attr, baseUrl).href
-
-      if (isLocalResource(resourceUrl, pageUrl)) {
-        const promise = (async () => {
-          const data = await downloadFn(resourceUrl)
-          const fileName = generateResourceFileName(resourceUrl)
-          const resourcePath = join(resourceDir, fileName)
-          await writeFile(resourcePath, data)
-          const newAttr = join(resourceDirName, fileName)
-          return { oldAttr: attr, newAttr }
-        })()
-
-        promises.push(promise)
+  // Share one download per URL so repeated references and @import cycles are fetched once
+  if (saved.has(resourceUrl)) {
+    return { ...saved.get(resourceUrl), created: false }
+  }
+
+  const entry = { fileName: null, promise: null, inline: null }
+  saved.set(resourceUrl, entry)
+
+  // Single-file pages embed their resources and WARC archives hold the raw responses
+  const writesFiles = !session.singleFile && !session.archive
+
+  // Manifest entry, filled in as the download progresses
+  const record = {
+    originalUrl,
+    url: resourceUrl,
+    page: context.pageUrl,
+    localPath: null,
+    status: null,
+    contentType: null,
+    size: null,
+    sha256: null,
+    startedAt: null,
+    durationMs: null,
+  }
+  session.resources.push(record)
+
+  const reserveFileName = (fileName) => {
+    entry.fileName = fileName
+    context.fileNames.set(fileName, resourceUrl)
+    record.localPath = writesFiles ? join(context.resourceDirName, fileName) : null
+  }
+
+  // Filtered out resources keep pointing online, like failed ones
+  const skip = (reason) => {
+    log('Skipped resource %s: %s', resourceUrl, reason)
+    session.skipped.set(resourceUrl, reason)
+    record.skipped = reason
+    record.localPath = null
+    return null
+  }
+
+  const finish = () => {
+    session.completed += 1
+    session.onResourceDone?.(record)
+    session.onProgress?.({ url: resourceUrl, completed: session.completed, total: session.resources.length })
+  }
+
+  const skipReason = session.filter.checkUrl(resourceUrl, getResourceKind(resourceUrl, kind))
+  if (skipReason) {
+    skip(skipReason)
+    finish()
+    entry.promise = Promise.resolve(null)
+    return { ...entry, created: true }
+  }
+
+  const subdir = getResourceSubdir(resourceUrl, context.pageUrl)
+
+  // Extensionless URLs are named once the response tells what they contain,
+  // stored assets once their content is hashed
+  if (getPathExtension(resourceUrl) && !session.store) {
+    reserveFileName(generateResourceFileName(resourceUrl, context.fileNames, { subdir }))
+  }
+
+  // Files other than stylesheets are written as they arrive instead of being held in memory
+  const stream = writesFiles && !transformFn
+
+  // The body is read within the request slot, so the limits also cap open transfers.
+  // It lands in a temporary file that gets its name once the content is known
+  const receive = async (response) => {
+    const { data, ...rest } = response
+    if (response.status === 304 || session.filter.checkType(response.headers?.['content-type'])) {
+      data.destroy()
+      return rest
+    }
+    const download = await writeBody(data, join(resourceDir, `.${randomUUID()}.part`), {
+      url: resourceUrl, headers: response.headers, maxSize: session.filter.maxSize, signal: session.signal,
+    })
+    return { ...rest, download }
+  }
+
+  entry.promise = (async () => {
+    if (writesFiles) {
+      await context.ensureResourceDir()
+    }
+    let startedAt = performance.now()
+    let download = null
+    try {
+      const previous = writesFiles ? context.previousValidators?.get(resourceUrl) : undefined
+      const intact = previous !== undefined
+        && (entry.fileName === null || previous.fileName === entry.fileName)
+        && await isFileIntact(join(previousDir, previous.fileName), previous.sha256)
+      // Stylesheets are always refetched, their nested references are only known from the content
+      const headers = intact && !transformFn ? getConditionalHeaders(previous) : {}
+
+      const response = await session.limiter.schedule(resourceUrl, (pause) => {
+        // Time spent waiting for a free slot is not part of the download
+        startedAt = performance.now()
+        record.startedAt = new Date().toISOString()
+        session.onResourceStart?.({ url: resourceUrl, page: context.pageUrl })
+        const httpOptions = { ...session.httpOptions, maxSize: session.filter.maxSize, pause }
+        const pending = downloadFn(resourceUrl, httpOptions, headers, { stream })
+        return stream ? pending.then(receive) : pending
+      })
+      download = response.download ?? null
+      record.status = response.status
+      record.contentType = response.headers?.['content-type'] ?? null
+      const typeSkipReason = response.status === 304 ? null : session.filter.checkType(record.contentType)
+      if (typeSkipReason) {
+        return skip(typeSkipReason)
+      }
+
+      if (response.status === 304) {
+        log('Not modified, keeping %s', previous.fileName)
+        if (entry.fileName === null) {
+          reserveFileName(previous.fileName)
+        }
+        await keepPreviousFile(previous.fileName, context)
+        context.validators.set(resourceUrl, previous)
+        record.size = (await stat(join(resourceDir, previous.fileName))).size
+        record.sha256 = previous.sha256
+        return entry.fileName
+      }
+
+      const contentExtension = getPathExtension(resourceUrl)
+        ?? getExtensionForContent(response.headers?.['content-type'], download ? download.head : response.data)
+      if (entry.fileName === null && !session.store) {
+        reserveFileName(generateResourceFileName(resourceUrl, context.fileNames, { contentExtension, subdir }))
+      }
+
+      let content = null
+      if (download) {
+        record.size = download.size
+        record.sha256 = download.sha256
+      }
+      else {
+        content = transformFn ? await transformFn(response.data, resourceUrl, context) : response.data
+        record.size = Buffer.byteLength(content)
+        record.sha256 = hashContent(content)
+      }
+      const { sha256 } = record
+
+      if (session.singleFile) {
+        // Nothing goes to disk: the page embeds the content instead
+        entry.inline = { content, mimeType: getMimeType(resourceUrl, response.headers?.['content-type']) }
+      }
+      else if (session.store) {
+        // Identical bytes share one file, whichever URL or page they came from
+        reserveFileName(getAssetName(sha256, contentExtension))
+        if (download) {
+          await storeAsset(resourceDir, entry.fileName, download.filepath)
+        }
+        else {
+          await writeAsset(resourceDir, entry.fileName, content)
+        }
+      }
+      else if (writesFiles) {
+        const { fileName } = entry
+        const filepath = join(resourceDir, fileName)
+        if (subdir) {
+          await mkdir(dirname(filepath), { recursive: true })
+        }
+        if (download) {
+          await rename(download.filepath, filepath)
+        }
+        else if (intact && previous.fileName === fileName && previous.sha256 === sha256) {
+          log('Unchanged, keeping %s', fileName)
+          await keepPreviousFile(fileName, context)
+        }
+        else {
+          await writeFile(filepath, content)
+        }
+        context.validators.set(resourceUrl, {
+          fileName,
+          etag: response.headers?.etag,
+          lastModified: response.headers?.['last-modified'],
+          sha256,
+        })
+      }
+    }
+    catch (error) {
+      if (download) {
+        await rm(download.filepath, { force: true })
+      }
+      if (error.code === RESOURCE_TOO_LARGE) {
+        return skip(`larger than ${session.filter.maxSize} bytes`)
+      }
+      record.error = error.message
+      if (!session.keepGoing || session.signal?.aborted) {
+        // The capture is lost, the other downloads stop too
+        session.abort(error)
+        throw error
+      }
+      // The reference keeps pointing online instead of failing the whole page
+      log('Skipping resource %s: %s', resourceUrl, error.message)
+      session.failures.set(resourceUrl, error)
+      session.onError?.({ url: resourceUrl, error })
+    }
+    finally {
+      record.durationMs = Math.round(performance.now() - startedAt)
+      finish()
+    }
+    return entry.fileName
+  })()
+  session.downloads.push(entry.promise)
+
+  return { ...entry, created: true }
+}
+
+// Where a downloaded resource is referenced from: a path inside the resource directory,
+// a data: URI in single-file mode, or its original URL when it was skipped or could not be saved
+const getLocalReference = (resourceUrl, context, { baseDir = '', relativeTo = '', fragment = '' } = {}) => {
+  const { fileName, inline } = context.saved.get(resourceUrl)
+  if (context.session.failures.has(resourceUrl) || context.session.skipped.has(resourceUrl)) {
+    return `${resourceUrl}${fragment}`
+  }
+  if (context.session.singleFile) {
+    return inline ? toDataUri(inline.content, inline.mimeType) : `${resourceUrl}${fragment}`
+  }
+  if (fileName === null) {
+    // Only possible inside an @import cycle that has not been named yet
+    return `${resourceUrl}${fragment}`
+  }
+  const localPath = join(baseDir, fileName)
+  return `${relativeTo ? relative(relativeTo, localPath) : localPath}${fragment}`
+}
+
+const processStylesheet = async (data, stylesheetUrl, context) => {
+  const css = Buffer.from(data).toString('utf-8')
+  const references = new Map()
+  const pending = []
+
+  for (const { ref, kind } of extractCssReferences(css)) {
+    let resourceUrl
+    let fragment
+    try {
+      // Relative references inside a stylesheet resolve against the stylesheet itself;
+      // fragments (SVG sprites) point into the same file
+      ({ url: resourceUrl, fragment } = splitFragment(new URL(ref.trim(), stylesheetUrl).href))
+    }
+    catch {
+      continue
+    }
+
+    if (context.session.isAllowedHost(resourceUrl, context.pageUrl) && !references.has(ref)) {
+      const { promise, created } = saveResource(resourceUrl, context, {
+        downloadFn: downloadTextResource,
+        transformFn: kind === 'import' ? processStylesheet : null,
+        originalUrl: ref,
+        kind: kind === 'import' ? 'css' : null,
+      })
+      references.set(ref, { resourceUrl, fragment })
+      // Only wait for imports this stylesheet started, so @import cycles can't deadlock
+      if (created || kind !== 'import') {
+        pending.push(promise)
       }
     }
   }
 
-  if (promises.length > 0) {
-    log('Starting parallel download of %d %s', promises.length, attrName)
+  if (pending.length > 0) {
+    log('Downloading %d resource(s) referenced by %s', pending.length, stylesheetUrl)
+    await Promise.all(pending)
   }
 
-  return Promise.all(promises)
+  // Saved stylesheets live inside the resource directory too, possibly in a host folder;
+  // the store keeps every asset side by side
+  const stylesheetDir = context.session.store ? '' : dirname(context.saved.get(stylesheetUrl).fileName)
+  const mapping = new Map()
+  for (const [ref, { resourceUrl, fragment }] of references) {
+    mapping.set(ref, getLocalReference(resourceUrl, context, { relativeTo: stylesheetDir, fragment }))
+  }
+  return rewriteCssReferences(css, mapping)
 }
 
-const processImages = async ($, resourceDir, resourceDirName, baseUrl, pageUrl) => {
-  const images = $('img')
-  const imagePromises = []
+// Element attributes that reference page resources; srcset attributes hold several candidates.
+// In single-file mode, elements with an inline tag are replaced by a block holding the content.
+// The kind is what filters see when the URL's extension doesn't tell. Page links are not
+// subresources: single-file pages point them at their absolute URL instead of embedding them.
+const RESOURCE_RULES = [
+  { selector: 'img[src]', attrName: 'src', downloadFn: downloadImage, kind: 'images' },
+  { selector: 'img[srcset], picture source[srcset]', attrName: 'srcset', srcset: true, downloadFn: downloadImage, kind: 'images' },
+  { selector: 'video[poster]', attrName: 'poster', downloadFn: downloadImage, kind: 'images' },
+  { selector: 'video[src], audio[src], video source[src], audio source[src], track[src]', attrName: 'src', kind: 'media' },
+  { selector: 'link[rel~="icon"], link[rel="apple-touch-icon"]', attrName: 'href', downloadFn: downloadImage, kind: 'images' },
+  { selector: 'link[rel~="stylesheet"]', attrName: 'href', transformFn: processStylesheet, inline: 'style', kind: 'css' },
+  { selector: 'link[rel="preload"][as="style"]', attrName: 'href', transformFn: processStylesheet, kind: 'css' },
+  { selector: 'link[rel="preload"]:not([as="style"]):not([as="document"])', attrName: 'href' },
+  { selector: 'link[rel="manifest"], link[rel="preload"][as="document"]', attrName: 'href', pageLink: true },
+  { selector: 'script[src]', attrName: 'src', inline: 'script', kind: 'js' },
+  { selector: 'link[rel="canonical"]', attrName: 'href', pageLink: true },
+]
+
+const inlineElement = ($, element, tagName, content) => {
+  // Raw text elements end at the first closing tag, so a literal one inside must be escaped
+  const text = Buffer.from(content).toString('utf-8')
+    .replaceAll(new RegExp(`</(${tagName})`, 'gi'), '<\\/$1')
 
-  for (const img of images) {
-    const src = $(img).attr('src')
+  if (tagName === 'script') {
+    // Keep type, nomodule and the like; the checksum no longer applies to an inline block
+    $(element).removeAttr('src').removeAttr('integrity').text(text)
+    return
+  }
 
-    if (src) {
-      const resourceUrl = new URL(src, baseUrl).href
+  const block = $('<style></style>').text(text)
+  const media = $(element).attr('media')
+  if (media) {
+    block.attr('media', media)
+  }
+  $(element).replaceWith(block)
+}
 
-      if (isLocalResource(resourceUrl, pageUrl)) {
-        const imagePromise = (async () => {
-          const imageData = await downloadImage(resourceUrl)
-          const fileName = generateResourceFileName(resourceUrl)
-          const imagePath = join(resourceDir, fileName)
-          await writeFile(imagePath, imageData)
-          const newSrc = join(resourceDirName, fileName)
-          return { src, newSrc }
-        })()
+const processResourceType = (rule, context) => {
+  const { $, baseUrl, pageUrl } = context
+  const {
+    selector, attrName, srcset = false, downloadFn = downloadTextResource, transformFn = null, inline = null, kind = null,
+    pageLink = false,
+  } = rule
+  const elements = $(selector)
+  const downloads = []
+  const rewrites = []
+  log('Found %d %s to process', elements.length, selector)
 
-        imagePromises.push(imagePromise)
-      }
+  const localize = (value) => {
+    let resourceUrl
+    let fragment
+    try {
+      ({ url: resourceUrl, fragment } = splitFragment(new URL(value, baseUrl).href))
+    }
+    catch {
+      return null
     }
+
+    if (pageLink && context.session.singleFile) {
+      return { resourceUrl, fragment, online: true }
+    }
+    if (!context.session.isAllowedHost(resourceUrl, pageUrl)) {
+      return null
+    }
+
+    const { promise, created } = saveResource(resourceUrl, context, {
+      downloadFn, transformFn, originalUrl: value, kind,
+    })
+    if (created) {
+      downloads.push({ resourceUrl, promise })
+    }
+    return { resourceUrl, fragment }
   }
 
-  // Handle visual progress only for images (the most visible part)
-  let imageResults = []
-  if (imagePromises.length > 0) {
-    log('Starting parallel download of %d images', imagePromises.length)
+  for (const element of elements) {
+    const attr = $(element).attr(attrName)
+
+    if (attr) {
+      const candidates = (srcset ? parseSrcset(attr) : [{ url: attr, descriptor: '' }])
+        .map(candidate => ({ ...candidate, resource: localize(candidate.url) }))
 
-    // Disable visual progress in test environment
-    if (process.env.NODE_ENV === 'test' || process.env.npm_lifecycle_event === 'test') {
-      imageResults = await Promise.all(imagePromises)
+      if (candidates.some(({ resource }) => resource)) {
+        rewrites.push({ element, candidates })
+      }
     }
-    else {
-      // In normal mode, use listr2 for visual progress
-      const imageTasks = imagePromises.map((promise, index) => ({
-        title: `Downloading image ${index + 1}`,
-        task: () => promise,
-      }))
+  }
 
-      const imageTaskList = new Listr(imageTasks, {
-        concurrent: true,
-        rendererOptions: { collapse: false },
-      })
+  // Attributes are rewritten once downloads have settled, so failed resources can keep their URL
+  const applyRewrites = () => {
+    for (const { element, candidates } of rewrites) {
+      const embedded = inline && context.session.singleFile
+        ? context.saved.get(candidates[0].resource.resourceUrl).inline
+        : null
+      if (embedded) {
+        inlineElement($, element, inline, embedded.content)
+        continue
+      }
 
-      await imageTaskList.run()
-      imageResults = await Promise.all(imagePromises)
+      const toReference = resource => (resource.online
+        ? `${resource.resourceUrl}${resource.fragment}`
+        : getLocalReference(resource.resourceUrl, context, { baseDir: context.resourceDirName, fragment: resource.fragment }))
+      const localized = candidates.map(({ url, descriptor, resource }) => ({
+        descriptor,
+        url: resource ? toReference(resource) : url,
+      }))
+      $(element).attr(attrName, srcset ? serializeSrcset(localized) : localized[0].url)
     }
+    return rewrites.length
   }
 
-  return imageResults
+  return { downloads, applyRewrites }
 }
 
-const processAllResources = async (html, pageUrl, outputDir) => {
-  const baseUrl = new URL(pageUrl)
-  const resourceDirName = generateResourceDirName(pageUrl)
-  const resourceDir = join(outputDir, resourceDirName)
+const runDownloads = async (downloads, { quiet = false } = {}) => {
+  if (downloads.length === 0) {
+    return
+  }
 
-  await createResourceDirectory(resourceDir, outputDir)
+  log('Starting parallel download of %d resources', downloads.length)
 
-  // Use cheerio to find resources, but keep original HTML for replacements
-  const $ = cheerio.load(html)
-  let modifiedHtml = html
-
-  // Process each type of resource
-  const imageResults = await processImages($, resourceDir, resourceDirName, baseUrl, pageUrl)
-
-  const cssResults = await processResourceType({
-    $,
-    selector: $('link[rel="stylesheet"]'),
-    attrName: 'href',
-    resourceDir,
-    resourceDirName,
-    baseUrl,
-    pageUrl,
-    downloadFn: downloadTextResource,
-  })
+  // Disable visual progress in test environment, and for batches whose pages load side by side
+  if (quiet || process.env.NODE_ENV === 'test' || process.env.npm_lifecycle_event === 'test') {
+    await Promise.all(downloads.map(({ promise }) => promise))
+    return
+  }
 
-  const jsResults = await processResourceType({
-    $,
-    selector: $('script[src]'),
-    attrName: 'src',
-    resourceDir,
-    resourceDirName,
-    baseUrl,
-    pageUrl,
-    downloadFn: downloadTextResource,
-  })
+  // In normal mode, use listr2 for visual progress
+  const tasks = downloads.map(({ resourceUrl, promise }) => ({
+    title: `Downloading ${resourceUrl}`,
+    task: () => promise,
+  }))
 
-  const canonicalResults = await processResourceType({
-    $,
-    selector: $('link[rel="canonical"]'),
-    attrName: 'href',
-    resourceDir,
-    resourceDirName,
-    baseUrl,
-    pageUrl,
-    downloadFn: downloadTextResource,
+  const taskList = new Listr(tasks, {
+    concurrent: true,
+    rendererOptions: { collapse: false },
+    // Ctrl-C is handled by the caller's signal, so the staged files get cleaned up
+    registerSignalListeners: false,
   })
 
-  // Apply all replacements to HTML
-  for (const { src, newSrc } of imageResults) {
-    modifiedHtml = modifiedHtml.replace(src, newSrc)
-  }
+  await taskList.run()
+}
 
-  for (const { oldAttr, newAttr } of cssResults) {
-    modifiedHtml = modifiedHtml.replace(`href="${oldAttr}" />`, `href="${newAttr}">`)
+const processAllResources = async (html, pageUrl, outputDir, session, { charset = DEFAULT_CHARSET } = {}) => {
+  const baseUrl = new URL(pageUrl)
+  const resourceDirName = session.store ? STORE_DIR_NAME : `${session.pageName(pageUrl)}_files`
+  const resourceDir = join(outputDir, resourceDirName)
+
+  const $ = cheerio.load(html)
+  const context = {
+    $, resourceDir, resourceDirName, baseUrl, pageUrl, session, saved: new Map(), fileNames: new Map(),
+    // Where the previous capture of this page keeps its resources
+    previousDir: join(session.outputDir, resourceDirName),
+    previousValidators: null,
+    validators: new Map(),
   }
 
-  for (const { oldAttr, newAttr } of jsResults) {
-    modifiedHtml = modifiedHtml.replace(oldAttr, newAttr)
+  // The resource directory is only created once the first local resource needs it
+  let resourceDirReady = null
+  context.ensureResourceDir = () => {
+    resourceDirReady ??= (async () => {
+      await createResourceDirectory(resourceDir, outputDir)
+      if (session.incremental) {
+        context.previousValidators = await loadValidators(context.previousDir)
+      }
+    })()
+    return resourceDirReady
   }
 
-  for (const { oldAttr, newAttr } of canonicalResults) {
-    modifiedHtml = modifiedHtml.replace(oldAttr, newAttr)
+  // Process each type of resource, rewriting attributes on the parsed document
+  const results = RESOURCE_RULES.map(rule => processResourceType(rule, context))
+  await runDownloads(results.flatMap(({ downloads }) => downloads), { quiet: session.quiet })
+
+  const rewritten = results.reduce((total, { applyRewrites }) => total + applyRewrites(), 0)
+
+  // Pages are always saved as UTF-8, so a declaration of the original encoding would garble them
+  const transcoded = charset !== DEFAULT_CHARSET
+  if (transcoded) {
+    log('Transcoding page from %s to %s', charset, DEFAULT_CHARSET)
+    declareUtf8($)
   }
 
-  const totalResources = imageResults.length + cssResults.length + jsResults.length + canonicalResults.length
-  log('All resources processed successfully: %d total', totalResources)
+  if (session.incremental && resourceDirReady) {
+    // Validators of resources the page no longer references are dropped
+    await saveValidators(resourceDir, context.validators)
+  }
+  if (rewritten === 0 && !transcoded) {
+    log('No local resources found in HTML')
+    return html
+  }
 
-  return modifiedHtml
+  log('All resources processed successfully: %d total', context.saved.size)
+  return $.html()
 }
 
-const downloadPageContent = async (url) => {
+const NOT_HTML = 'ERR_NOT_HTML'
+
+const downloadPageContent = async (url, httpOptions) => {
   log('Loading page content...')
   try {
-    const response = await axios.get(url)
-    const html = response.data
-    log('Page loaded successfully, size: %d bytes', html.length)
-    return html
+    // Streamed, so a link to an archive or a video is dropped as soon as its headers are in
+    const response = await httpGet(url, { responseType: 'stream' }, httpOptions)
+    const contentType = response.headers?.['content-type']
+    if (!isHtmlType(contentType)) {
+      response.data.destroy()
+      const notHtml = new Error(`Not an HTML page (${contentType}): ${url}`)
+      notHtml.code = NOT_HTML
+      throw notHtml
+    }
+
+    // Kept as bytes: the encoding is only known once the headers and the document's head are in
+    const data = await buffer(response.data)
+    httpOptions.onExchange?.({ ...response, data })
+    log('Page loaded successfully, size: %d bytes', data.byteLength)
+    return decodeHtml(data, contentType)
   }
   catch (error) {
+    if (error.code === NOT_HTML) {
+      throw error
+    }
     if (error.response?.status === 403) {
       throw new Error(`Access forbidden (403): ${url}`)
     }
@@ -310,7 +824,8 @@ const downloadPageContent = async (url) => {
     if (error.code === 'ECONNREFUSED') {
       throw new Error(`Connection refused: ${url}`)
     }
-    if (error.code === 'ETIMEDOUT') {
+    // axios reports its own timeout as ECONNABORTED
+    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
       throw new Error(`Request timeout: ${url}`)
     }
     throw new Error(`Network error: ${url} - ${error.message}`)
@@ -337,34 +852,671 @@ const saveProcessedHtml = async (filepath, processedHtml, outputDir) => {
   }
 }
 
-const load = async (url, outputDir = process.cwd()) => {
-  log('Starting page load: %s', url)
-  log('Output directory: %s', outputDir)
+const openWarcArchive = async (archivePath, outputDir) => {
+  log('Writing WARC archive to: %s', archivePath)
+  try {
+    return await createWarcWriter(archivePath, {
+      gzip: archivePath.endsWith('.gz'),
+      info: {
+        software: 'page-loader/1.0.0',
+        format: 'WARC File Format 1.1',
+        conformsTo: 'http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+      },
+    })
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Directory not found: ${outputDir}`)
+    }
+    if (error.code === 'EACCES') {
+      throw new Error(`Permission denied: Cannot write to ${archivePath}`)
+    }
+    throw new Error(`File system error: ${error.message}`)
+  }
+}
+
+const saveWarcArchive = async (archive, archivePath) => {
+  try {
+    await archive.close()
+    log('Operation completed successfully')
+  }
+  catch (error) {
+    if (error.code === 'ENOSPC') {
+      throw new Error(`No space left on device: ${archivePath}`)
+    }
+    throw new Error(`File system error: ${error.message}`)
+  }
+}
+
+const buildManifest = (url, pages, session) => ({
+  url,
+  createdAt: new Date().toISOString(),
+  pages: pages.map(page => ({
+    url: page.url,
+    localPath: page.localPath ?? null,
+    size: page.localPath ? Buffer.byteLength(page.html) : null,
+    sha256: page.localPath ? hashContent(page.html) : null,
+  })),
+  resources: session.resources,
+})
+
+const saveManifest = async (manifestPath, manifestData) => {
+  log('Saving manifest to: %s', manifestPath)
+  try {
+    await writeFile(manifestPath, `${JSON.stringify(manifestData, null, 2)}\n`)
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Directory not found: ${dirname(manifestPath)}`)
+    }
+    if (error.code === 'EACCES') {
+      throw new Error(`Permission denied: Cannot write to ${manifestPath}`)
+    }
+    throw new Error(`File system error: ${error.message}`)
+  }
+}
+
+const extractPageLinks = (html, pageUrl) => {
+  const $ = cheerio.load(html)
+  const links = []
+
+  for (const anchor of $('a[href]')) {
+    const href = $(anchor).attr('href')
+    let linkUrl
+    try {
+      linkUrl = new URL(href, pageUrl)
+    }
+    catch {
+      continue
+    }
+
+    if (linkUrl.protocol === 'http:' || linkUrl.protocol === 'https:') {
+      linkUrl.hash = ''
+      if (isSameHost(linkUrl.href, pageUrl)) {
+        links.push(linkUrl.href)
+      }
+    }
+  }
+
+  return links
+}
+
+// savedPages maps page URLs, without fragment, to their local file names
+const rewritePageLinks = (html, pageUrl, savedPages) => {
+  const $ = cheerio.load(html)
+  let rewritten = 0
+
+  for (const anchor of $('a[href]')) {
+    const href = $(anchor).attr('href')
+    let linkUrl
+    try {
+      linkUrl = new URL(href, pageUrl)
+    }
+    catch {
+      continue
+    }
+
+    if (linkUrl.protocol !== 'http:' && linkUrl.protocol !== 'https:') {
+      continue
+    }
+
+    const { url: linkTarget, fragment } = splitFragment(linkUrl.href)
+    if (savedPages.has(linkTarget)) {
+      $(anchor).attr('href', `${savedPages.get(linkTarget)}${fragment}`)
+      rewritten += 1
+    }
+  }
+
+  // Keep the original markup untouched when there is nothing to rewrite
+  return rewritten > 0 ? $.html() : html
+}
+
+const fetchRobotsRules = async (origin, session) => {
+  const robotsUrl = `${origin}/robots.txt`
+  let rules
+  try {
+    const response = await session.limiter.schedule(robotsUrl, pause => httpGet(robotsUrl, { responseType: 'text' }, { ...session.httpOptions, pause }))
+    rules = createRobotsRules(String(response.data), session.userAgent)
+  }
+  catch (error) {
+    if (session.signal?.aborted) {
+      throw error
+    }
+    // No robots.txt means no restrictions; one that can't be read means the site isn't ready for us
+    const status = error.response?.status
+    rules = status >= 400 && status < 500 ? ALLOW_ALL : DISALLOW_ALL
+    log('robots.txt of %s unavailable (%s), %s', origin, status ?? error.message, rules === ALLOW_ALL ? 'allowing all' : 'disallowing all')
+  }
+  if (rules.crawlDelay) {
+    session.limiter.setHostDelay(robotsUrl, rules.crawlDelay * 1000)
+  }
+  return rules
+}
 
-  const filename = generateFilename(url)
-  const filepath = resolve(outputDir, filename)
+// robots.txt is fetched once per origin, batches share the rules between their pages
+const isAllowedByRobots = async (url, session) => {
+  const { origin } = new URL(url)
+  if (!session.robots.has(origin)) {
+    session.robots.set(origin, fetchRobotsRules(origin, session))
+  }
+  const rules = await session.robots.get(origin)
+  return rules.isAllowed(url)
+}
 
+const downloadPage = async (url, outputDir, session) => {
   // Download HTML
-  const html = await downloadPageContent(url)
+  const { html, charset } = await session.limiter.schedule(url, pause => downloadPageContent(url, { ...session.httpOptions, pause }))
+  log('Page encoding: %s', charset)
 
-  // Check if there are any resources in HTML and process accordingly
-  const hasResources = html.includes('<img') || html.includes('<link') || html.includes('<script')
   log('Parsing HTML content')
+  return processAllResources(html, url, outputDir, session, { charset })
+}
 
-  let processedHtml
-  if (hasResources) {
-    log('Resources found in HTML, starting resource processing')
-    processedHtml = await processAllResources(html, url, outputDir)
+const crawl = async (url, outputDir, { depth, maxPages, session }) => {
+  const pages = []
+  // Pages are told apart by URL without fragment; names are handed out in the order pages are found
+  const { url: startUrl } = splitFragment(url)
+  const seen = new Set([startUrl])
+  session.pageName(startUrl)
+  let queue = [startUrl]
+
+  // Breadth-first: every page of one level is saved before the next level starts
+  for (let level = 0; queue.length > 0 && level <= depth; level += 1) {
+    log('Crawling level %d: %d page(s)', level, queue.length)
+    const nextQueue = []
+
+    for (const pageUrl of queue) {
+      if (session.robots && !(await isAllowedByRobots(pageUrl, session))) {
+        if (level === 0) {
+          throw new Error(`Blocked by robots.txt: ${pageUrl}`)
+        }
+        log('Blocked by robots.txt: %s', pageUrl)
+        session.blocked.push(pageUrl)
+        continue
+      }
+
+      let html
+      try {
+        html = await downloadPage(pageUrl, outputDir, session)
+      }
+      catch (error) {
+        // Links to documents, archives and the like keep pointing online
+        if (error.code === NOT_HTML && level > 0) {
+          log('Not following %s: %s', pageUrl, error.message)
+          continue
+        }
+        // The start page is required, linked pages are skipped like any other resource
+        if (!session.keepGoing || level === 0 || session.signal?.aborted) {
+          throw error
+        }
+        log('Skipping page %s: %s', pageUrl, error.message)
+        session.failures.set(pageUrl, error)
+        session.onError?.({ url: pageUrl, error })
+        continue
+      }
+      pages.push({ url: pageUrl, html })
+
+      if (level < depth) {
+        for (const link of extractPageLinks(html, pageUrl)) {
+          if (!seen.has(link) && seen.size < maxPages) {
+            seen.add(link)
+            session.pageName(link)
+            nextQueue.push(link)
+          }
+        }
+      }
+    }
+
+    queue = nextQueue
   }
-  else {
-    log('No resources found in HTML')
-    processedHtml = html
+
+  return pages
+}
+
+/**
+ * @typedef {object} LoadOptions
+ * @property {string} [output] directory to save into, defaults to the current directory
+ * @property {number} [depth=0] follow same-host links up to this depth
+ * @property {number} [maxPages=100] stop crawling after this many pages
+ * @property {number} [concurrency=10] maximum number of parallel requests
+ * @property {number} [hostConcurrency] maximum number of parallel requests per host
+ * @property {number} [hostDelay=0] minimum delay in ms between requests to the same host
+ * @property {number} [retries=0] retry failed requests this many times
+ * @property {number} [retryDelay=1000] base delay in ms before the first retry
+ * @property {number} [maxRetryDelay=60000] don't retry when Retry-After asks for a longer wait in ms
+ * @property {number} [timeout=30000] per-request timeout in ms, 0 waits forever
+ * @property {number} [deadline] give up on the whole run after this many ms
+ * @property {Record<string, string>} [headers] extra headers sent to the start page's origin
+ * @property {string} [userAgent] User-Agent sent to every host
+ * @property {string[]} [cookies] `name=value` cookies for the start page's host
+ * @property {string} [cookieFile] Netscape cookies.txt to load cookies from
+ * @property {{ username?: string, password?: string } | { token: string }} [auth]
+ *   basic or bearer credentials for the start page's origin
+ * @property {string} [proxy] http://, https:// or socks5:// proxy URL, credentials included;
+ *   defaults to HTTP_PROXY / HTTPS_PROXY / NO_PROXY
+ * @property {AbortSignal} [signal] cancels the whole run, in-flight downloads included
+ * @property {boolean} [robots=false] skip pages robots.txt disallows for userAgent and honor its Crawl-delay
+ * @property {boolean} [keepGoing=false] save pages even if some resources fail
+ * @property {boolean} [singleFile=false] embed resources into the saved page
+ * @property {'html' | 'warc' | 'warc.gz'} [format='html']
+ * @property {'overwrite' | 'skip' | 'fail'} [onExists='overwrite'] what to do when the start page
+ *   was saved by an earlier run
+ * @property {boolean} [incremental=false] reuse unchanged resources from a previous run
+ * @property {boolean} [store=false] keep resources of all pages in one content-addressed folder
+ * @property {boolean} [gc=false] with store, remove stored assets no saved page references anymore
+ * @property {boolean | string} [manifest=false] write a JSON manifest, optionally to this path
+ * @property {boolean} [includeSubdomains=false]
+ * @property {string[]} [allowHosts] host patterns resources may also come from
+ * @property {string[]} [denyHosts] host patterns resources never come from
+ * @property {boolean} [allHosts=false]
+ * @property {string[]} [includeKinds] see RESOURCE_KINDS in filters.js
+ * @property {string[]} [excludeKinds]
+ * @property {string[]} [includeUrls] URL globs or /regex/ patterns
+ * @property {string[]} [excludeUrls]
+ * @property {string[]} [includeTypes] MIME patterns such as image/*
+ * @property {string[]} [excludeTypes]
+ * @property {number} [maxSize] skip resources larger than this many bytes
+ * @property {(event: { url: string, page: string }) => void} [onResourceStart]
+ * @property {(resource: ResourceRecord) => void} [onResourceDone] called for saved, skipped and failed resources
+ * @property {(failure: { url: string, error: Error }) => void} [onError] failures tolerated with keepGoing
+ * @property {(progress: { url: string, completed: number, total: number }) => void} [onProgress]
+ *   total counts the resources discovered so far, so it grows while pages are parsed
+ */
+
+/**
+ * @typedef {object} ResourceRecord
+ * @property {string} originalUrl reference as written in the page or stylesheet
+ * @property {string} url
+ * @property {string} page URL of the page that references it
+ * @property {string | null} localPath path relative to the output directory
+ * @property {number | null} status
+ * @property {string | null} contentType
+ * @property {number | null} size
+ * @property {string | null} sha256
+ * @property {string | null} startedAt
+ * @property {number | null} durationMs
+ * @property {string} [error]
+ * @property {string} [skipped] reason the resource was not downloaded
+ */
+
+/**
+ * @typedef {object} LoadResult
+ * @property {string} filepath the saved start page or archive
+ * @property {{ url: string, filepath: string }[]} pages
+ * @property {ResourceRecord[]} resources
+ * @property {{ url: string, error: Error }[]} failures
+ * @property {string[]} blocked linked pages robots.txt kept us from fetching
+ * @property {boolean} skipped the page was already saved and onExists is skip
+ * @property {string | null} manifestPath
+ */
+
+// How requests of a run starting at url go out: credentials scoped to its origin, cookies, proxy and retries
+const createHttpOptions = async (url, options, shared = {}) => {
+  const {
+    retries = 0,
+    retryDelay = 1000,
+    maxRetryDelay = DEFAULT_MAX_RETRY_DELAY,
+    timeout = DEFAULT_TIMEOUT,
+    headers,
+    userAgent,
+    cookies = [],
+    cookieFile,
+    auth,
+    proxy,
+    signal,
+  } = options
+
+  // Cookies set by responses are sent along with later requests to the same site
+  const cookieJar = createCookieJar()
+  if (cookieFile) {
+    await cookieJar.loadFile(cookieFile)
+  }
+  const { hostname, origin } = new URL(url)
+  cookies.flatMap(cookie => parseCookieList(cookie, hostname)).forEach(cookieJar.add)
+
+  return {
+    retries,
+    retryDelay,
+    maxRetryDelay,
+    timeout,
+    signal,
+    cookieJar,
+    getHeaders: createRequestHeaders({
+      origin, headers, userAgent, auth, cookieJar,
+    }),
+    getProxyAgents: shared.getProxyAgents ?? createProxyResolver({ proxy }),
+  }
+}
+
+const isSaved = filepath => access(filepath).then(() => true, () => false)
+
+// Saves the pages of a run into dir, as HTML files with their resources or as one archive
+const capture = async (url, dir, {
+  format, depth, maxPages, session,
+}) => {
+  if (format !== 'html') {
+    const archivePath = resolve(dir, generateArchiveFilename(url, format))
+    session.archive = await openWarcArchive(archivePath, dir)
+    session.httpOptions.onExchange = session.archive.writeExchange
+
+    try {
+      const pages = await crawl(url, dir, { depth, maxPages, session })
+      log('Archived %d page(s), %d failure(s)', pages.length, session.failures.size)
+      return pages
+    }
+    finally {
+      await saveWarcArchive(session.archive, archivePath)
+    }
+  }
+
+  const pages = await crawl(url, dir, { depth, maxPages, session })
+  const savedPages = new Map(pages.map(page => [page.url, `${session.pageName(page.url)}.html`]))
+  log('Downloaded %d page(s), %d failure(s)', pages.length, session.failures.size)
+
+  for (const page of pages) {
+    page.localPath = savedPages.get(page.url)
+    page.html = depth > 0
+      ? rewritePageLinks(page.html, page.url, savedPages)
+      : page.html
+
+    // Save processed HTML
+    await saveProcessedHtml(resolve(dir, page.localPath), page.html, dir)
+  }
+  return pages
+}
+
+// Downloads still running would write into the staging directory after it is removed.
+// Stylesheets can start more of them while they wind down, so wait until none are left
+const settleDownloads = async (session) => {
+  for (let settled = 0; settled < session.downloads.length;) {
+    const pending = session.downloads.slice(settled)
+    settled = session.downloads.length
+    await Promise.allSettled(pending)
   }
+}
 
-  // Save processed HTML
-  await saveProcessedHtml(filepath, processedHtml, outputDir)
+// Batches pass in the request limits and proxy connections shared by all their pages
+const run = async (url, outputDir, options, shared = {}) => {
+  const {
+    depth = 0,
+    maxPages = 100,
+    concurrency = 10,
+    hostConcurrency = concurrency,
+    hostDelay = 0,
+    signal,
+    robots = false,
+    userAgent,
+    keepGoing = false,
+    singleFile = false,
+    format = 'html',
+    onExists = 'overwrite',
+    incremental = false,
+    store = false,
+    manifest = false,
+    includeSubdomains = false,
+    allowHosts = [],
+    denyHosts = [],
+    allHosts = false,
+    includeKinds,
+    excludeKinds,
+    includeUrls,
+    excludeUrls,
+    includeTypes,
+    excludeTypes,
+    maxSize,
+    onResourceStart,
+    onResourceDone,
+    onError,
+    onProgress,
+  } = options
+  log('Starting page load: %s', url)
+  log('Output directory: %s', outputDir)
+
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format: ${format}, expected one of ${OUTPUT_FORMATS.join(', ')}`)
+  }
+  if (store && (singleFile || format !== 'html' || incremental)) {
+    throw new Error('The shared asset store only works with plain HTML output, without --single-file or --incremental')
+  }
+  if (!ON_EXISTS_POLICIES.includes(onExists)) {
+    throw new Error(`Unknown on-exists policy: ${onExists}, expected one of ${ON_EXISTS_POLICIES.join(', ')}`)
+  }
+  signal?.throwIfAborted()
 
-  return filepath
+  const filepath = resolve(outputDir, format === 'html' ? generateFilename(url) : generateArchiveFilename(url, format))
+  if (onExists !== 'overwrite' && await isSaved(filepath)) {
+    if (onExists === 'fail') {
+      throw new Error(`Output already exists: ${filepath}`)
+    }
+    log('Already saved, skipping: %s', filepath)
+    return {
+      filepath,
+      pages: [{ url, filepath }],
+      resources: [],
+      failures: [],
+      blocked: [],
+      skipped: true,
+      manifest: null,
+      manifestPath: null,
+    }
+  }
+
+  // Stops what is still in flight once the capture has failed, along with the caller's signal
+  const controller = new AbortController()
+  const runSignal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+
+  // One session per run so pages and every resource type share the same request budget
+  const session = {
+    limiter: shared.limiter ?? createLimiter({ concurrency, hostConcurrency, hostDelay }),
+    quiet: shared.quiet ?? false,
+    isAllowedHost: createHostPolicy({ includeSubdomains, allowHosts, denyHosts, allHosts }),
+    filter: createResourceFilter({
+      includeKinds, excludeKinds, includeUrls, excludeUrls, includeTypes, excludeTypes, maxSize,
+    }),
+    httpOptions: await createHttpOptions(url, { ...options, signal: runSignal }, shared),
+    signal: runSignal,
+    abort: reason => controller.abort(reason),
+    downloads: [],
+    outputDir,
+    pageName: createPageNamer(),
+    robots: robots ? (shared.robots ?? new Map()) : null,
+    userAgent,
+    keepGoing,
+    singleFile,
+    incremental,
+    store,
+    archive: null,
+    onResourceStart,
+    onResourceDone,
+    onError,
+    onProgress,
+    failures: new Map(),
+    skipped: new Map(),
+    blocked: [],
+    resources: [],
+    completed: 0,
+  }
+
+  // Nothing lands in outputDir until the whole capture is complete
+  const stagingDir = await createStagingDir(outputDir)
+  let pages
+  try {
+    pages = await capture(url, stagingDir, { format, depth, maxPages, session })
+    await commitStaging(stagingDir, outputDir)
+  }
+  catch (error) {
+    session.abort(error)
+    await settleDownloads(session)
+    throw error
+  }
+  finally {
+    await discardStaging(stagingDir)
+  }
+
+  let manifestData = null
+  let manifestPath = null
+  if (manifest) {
+    manifestData = buildManifest(url, pages, session)
+    manifestPath = typeof manifest === 'string'
+      ? resolve(manifest)
+      : resolve(outputDir, generateFilename(url).replace(/\.html$/, '.manifest.json'))
+    await saveManifest(manifestPath, manifestData)
+  }
+
+  return {
+    filepath,
+    pages: pages.map(page => ({ url: page.url, filepath: page.localPath ? resolve(outputDir, page.localPath) : filepath })),
+    resources: session.resources,
+    failures: [...session.failures].map(([failedUrl, error]) => ({ url: failedUrl, error })),
+    blocked: session.blocked,
+    skipped: false,
+    manifest: manifestData,
+    manifestPath,
+  }
+}
+
+// The deadline aborts through the same signal as the caller
+const withDeadline = (signal, deadline) => (deadline
+  ? AbortSignal.any([signal, AbortSignal.timeout(deadline)].filter(Boolean))
+  : signal)
+
+// Requests cut short by the signal fail in many ways; report the abort itself
+const toAbortReason = (error, signal, deadline) => {
+  if (!signal?.aborted) {
+    return error
+  }
+  return deadline && signal.reason?.name === 'TimeoutError'
+    ? new Error(`Deadline of ${deadline} ms exceeded`)
+    : signal.reason
+}
+
+/**
+ * Downloads a page (and, with a depth, the pages it links to).
+ *
+ * load(url, { output, ...options }) resolves with a LoadResult.
+ * The older load(url, outputDir, options) form resolves with the path of the saved page
+ * or archive, or with { filepath, manifest, manifestPath } when the manifest option is set.
+ * @param {string} url
+ * @param {LoadOptions | string} [outputOrOptions]
+ * @param {LoadOptions} [legacyOptions]
+ * @returns {Promise<LoadResult | string | { filepath: string, manifest: object, manifestPath: string }>}
+ */
+const load = async (url, outputOrOptions, legacyOptions = {}) => {
+  const legacy = typeof outputOrOptions !== 'object' || outputOrOptions === null
+  const options = legacy ? legacyOptions : outputOrOptions
+  const outputDir = (legacy ? outputOrOptions : options.output) ?? process.cwd()
+
+  const signal = withDeadline(options.signal, options.deadline)
+  let result
+  try {
+    result = await run(url, outputDir, { ...options, signal })
+  }
+  catch (error) {
+    throw toAbortReason(error, signal, options.deadline)
+  }
+  if (options.store && options.gc) {
+    await collectGarbage(outputDir)
+  }
+
+  const { manifest, ...loadResult } = result
+  if (!legacy) {
+    return loadResult
+  }
+  return manifest ? { filepath: result.filepath, manifest, manifestPath: result.manifestPath } : result.filepath
+}
+
+/**
+ * @typedef {object} BatchEntry
+ * @property {string} url
+ * @property {LoadResult | null} result
+ * @property {Error | null} error
+ */
+
+/**
+ * Downloads several pages in one run. They share the request limits and proxy connections,
+ * and a URL that fails doesn't stop the others.
+ * @param {string[]} urls
+ * @param {LoadOptions} [options]
+ * @returns {Promise<BatchEntry[]>} one entry per URL, in input order
+ */
+const loadBatch = async (urls, options = {}) => {
+  const {
+    output = process.cwd(), concurrency = 10, hostConcurrency = concurrency, hostDelay = 0, proxy, manifest, deadline,
+  } = options
+  const signal = withDeadline(options.signal, deadline)
+  if (typeof manifest === 'string' && urls.length > 1) {
+    throw new Error('A manifest file name cannot be shared by several URLs, let each page get its own')
+  }
+
+  const shared = {
+    limiter: createLimiter({ concurrency, hostConcurrency, hostDelay }),
+    getProxyAgents: createProxyResolver({ proxy }),
+    robots: new Map(),
+    quiet: true,
+  }
+  const entries = []
+  let next = 0
+
+  // Pages are picked up by a fixed number of workers, the limiter still caps the requests
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next
+      next += 1
+      const url = urls[index]
+      try {
+        const {
+          filepath, pages, resources, failures, blocked, skipped, manifestPath,
+        } = await run(url, output, { ...options, signal }, shared)
+        entries[index] = {
+          url,
+          result: {
+            filepath, pages, resources, failures, blocked, skipped, manifestPath,
+          },
+          error: null,
+        }
+      }
+      catch (error) {
+        if (signal?.aborted) {
+          throw toAbortReason(error, signal, deadline)
+        }
+        log('Failed to load %s: %s', url, error.message)
+        entries[index] = { url, result: null, error }
+      }
+    }
+  }
+
+  // An abort is only reported once every worker has removed its staged files
+  const outcomes = await Promise.allSettled(Array.from({ length: Math.min(concurrency, urls.length) }, worker))
+  const aborted = outcomes.find(({ status }) => status === 'rejected')
+  if (aborted) {
+    throw aborted.reason
+  }
+  // Only once every page is saved, or assets of pages still loading would look unused
+  if (options.store && options.gc) {
+    await collectGarbage(output)
+  }
+  return entries
+}
+
+/**
+ * Lists the page URLs of a sitemap, following sitemap indexes and gzipped sitemaps.
+ * Requests go out with the same headers, cookies and proxy a load of sitemapUrl would use.
+ * @param {string} sitemapUrl
+ * @param {LoadOptions} [options]
+ * @returns {Promise<string[]>}
+ */
+const readSitemap = async (sitemapUrl, options = {}) => {
+  const httpOptions = await createHttpOptions(sitemapUrl, options)
+  return collectSitemapUrls(sitemapUrl, async (url) => {
+    try {
+      const response = await httpGet(url, { responseType: 'arraybuffer' }, httpOptions)
+      return response.data
+    }
+    catch (error) {
+      throw new Error(`Cannot read sitemap ${url}: ${error.message}`)
+    }
+  })
 }
 
+export { loadBatch, readSitemap }
 export default load
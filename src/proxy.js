@@ -0,0 +1,73 @@
+// src/proxy.js
+import { HttpProxyAgent } from 'http-proxy-agent'
+import { HttpsProxyAgent } from 'https-proxy-agent'
+import { SocksProxyAgent } from 'socks-proxy-agent'
+import { getProxyForUrl } from 'proxy-from-env'
+import debug from 'debug'
+
+const log = debug('page-loader')
+
+const HTTP_PROTOCOLS = new Set(['http:', 'https:'])
+const SOCKS_PROTOCOLS = new Set(['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'])
+
+/**
+ * Checks a proxy URL; credentials for the proxy go in its user info.
+ * @param {string} proxyUrl
+ * @returns {URL}
+ */
+const parseProxyUrl = (proxyUrl) => {
+  let url
+  try {
+    url = new URL(proxyUrl)
+  }
+  catch {
+    throw new Error(`Invalid proxy URL: ${proxyUrl}`)
+  }
+  if (!HTTP_PROTOCOLS.has(url.protocol) && !SOCKS_PROTOCOLS.has(url.protocol)) {
+    throw new Error(`Unsupported proxy protocol: ${url.protocol} (expected http, https or socks5)`)
+  }
+  return url
+}
+
+// HTTP proxies tunnel https requests with CONNECT, so they stay end-to-end encrypted, and get plain
+// http requests by absolute URI: many proxies only allow CONNECT to port 443
+const createAgents = (url) => {
+  if (SOCKS_PROTOCOLS.has(url.protocol)) {
+    const agent = new SocksProxyAgent(url)
+    return { httpAgent: agent, httpsAgent: agent }
+  }
+  return { httpAgent: new HttpProxyAgent(url), httpsAgent: new HttpsProxyAgent(url) }
+}
+
+/**
+ * Picks the agents each request goes through: the explicit proxy when one is given,
+ * otherwise whatever HTTP_PROXY / HTTPS_PROXY / ALL_PROXY and NO_PROXY say for the URL.
+ * There is one agent per scheme, so a redirect from http to https is still proxied the right way.
+ * @param {{ proxy?: string }} [options]
+ * @returns {(requestUrl: string) => { httpAgent: import('node:http').Agent, httpsAgent: import('node:http').Agent } | null}
+ */
+const createProxyResolver = (options = {}) => {
+  const { proxy } = options
+  const agents = new Map()
+
+  const getAgents = (proxyUrl) => {
+    if (!agents.has(proxyUrl)) {
+      const url = parseProxyUrl(proxyUrl)
+      log('Using proxy %s//%s', url.protocol, url.host)
+      agents.set(proxyUrl, createAgents(url))
+    }
+    return agents.get(proxyUrl)
+  }
+
+  if (proxy) {
+    // Fail before the first request rather than on it
+    getAgents(proxy)
+  }
+
+  return (requestUrl) => {
+    const proxyUrl = proxy ?? getProxyForUrl(requestUrl)
+    return proxyUrl ? getAgents(proxyUrl) : null
+  }
+}
+
+export default createProxyResolver
@@ -0,0 +1,60 @@
+// src/requestHeaders.js
+
+const formatAuthorization = (auth) => {
+  if (auth.token) {
+    return `Bearer ${auth.token}`
+  }
+  const credentials = Buffer.from(`${auth.username ?? ''}:${auth.password ?? ''}`).toString('base64')
+  return `Basic ${credentials}`
+}
+
+/**
+ * Builds the headers for each request. The user agent goes to every host; custom headers
+ * and credentials only go to the origin they were given for (same scheme, host and port,
+ * so they never leak over plain http or to another service), and cookies only where the
+ * jar says they belong.
+ * @param {{
+ *   origin: string,
+ *   headers?: Record<string, string>,
+ *   userAgent?: string,
+ *   auth?: { username?: string, password?: string } | { token: string },
+ *   cookieJar?: { getCookieHeader: (url: string) => string | null },
+ * }} options
+ * @returns {(requestUrl: string) => Record<string, string>}
+ */
+const createRequestHeaders = (options) => {
+  const {
+    origin, headers = {}, userAgent, auth, cookieJar,
+  } = options
+  const authorization = auth ? formatAuthorization(auth) : null
+
+  return (requestUrl) => {
+    const requestHeaders = userAgent ? { 'User-Agent': userAgent } : {}
+    const cookies = []
+
+    if (new URL(requestUrl).origin === origin) {
+      for (const [name, value] of Object.entries(headers)) {
+        if (name.toLowerCase() === 'cookie') {
+          cookies.push(value)
+        }
+        else {
+          requestHeaders[name] = value
+        }
+      }
+      if (authorization) {
+        requestHeaders.Authorization = authorization
+      }
+    }
+
+    const jarCookies = cookieJar?.getCookieHeader(requestUrl)
+    if (jarCookies) {
+      cookies.push(jarCookies)
+    }
+    if (cookies.length > 0) {
+      requestHeaders.Cookie = cookies.join('; ')
+    }
+    return requestHeaders
+  }
+}
+
+export default createRequestHeaders
@@ -0,0 +1,92 @@
+// src/retry.js
+import { setTimeout as sleep } from 'node:timers/promises'
+import debug from 'debug'
+
+const log = debug('page-loader')
+
+// Network failures that are worth another attempt for an idempotent GET
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'])
+
+const DEFAULT_MAX_RETRY_DELAY = 60000
+
+const isRetryable = (error) => {
+  const status = error.response?.status
+  if (status) {
+    return status === 429 || (status >= 500 && status !== 501)
+  }
+  return RETRYABLE_CODES.has(error.code)
+}
+
+/**
+ * Converts a Retry-After header (delay in seconds or an HTTP date) to milliseconds.
+ * @param {string | undefined} value
+ * @returns {number | null}
+ */
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null
+  }
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+// A server asking for a longer wait than maxRetryDelay gets no retry: null
+const getRetryDelay = (error, attempt, { retryDelay, maxRetryDelay }) => {
+  const status = error.response?.status
+  if (status === 429 || status === 503) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after'])
+    if (retryAfter !== null) {
+      return retryAfter > maxRetryDelay ? null : retryAfter
+    }
+  }
+
+  // Exponential backoff with jitter, so parallel downloads don't retry in lockstep
+  const backoff = retryDelay * 2 ** (attempt - 1)
+  return Math.round(backoff / 2 + Math.random() * backoff / 2)
+}
+
+/**
+ * Runs an HTTP request, repeating it on transient failures.
+ * @template T
+ * @param {() => Promise<T>} requestFn
+ * @param {string} url used for logging only
+ * @param {object} [options]
+ * @param {number} [options.retries=0]
+ * @param {number} [options.retryDelay=1000] base delay in ms, doubled on each attempt
+ * @param {number} [options.maxRetryDelay=60000] longest Retry-After in ms to wait for
+ * @param {AbortSignal} [options.signal] also cuts waits short
+ * @param {<P>(waiting: Promise<P>) => Promise<P>} [options.pause] the limiter's pause, so waits don't hold a request slot
+ * @returns {Promise<T>}
+ */
+const withRetries = async (requestFn, url, options = {}) => {
+  const {
+    retries = 0, retryDelay = 1000, maxRetryDelay = DEFAULT_MAX_RETRY_DELAY, signal, pause = waiting => waiting,
+  } = options
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      if (attempt > 1) {
+        log('Attempt %d of %d: %s', attempt, retries + 1, url)
+      }
+      return await requestFn()
+    }
+    catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        throw error
+      }
+      const delay = getRetryDelay(error, attempt, { retryDelay, maxRetryDelay })
+      if (delay === null) {
+        log('Attempt %d failed for %s (%s), Retry-After is past %d ms, giving up', attempt, url, error.message, maxRetryDelay)
+        throw error
+      }
+      log('Attempt %d failed for %s (%s), retrying in %d ms', attempt, url, error.message, delay)
+      await pause(sleep(delay, undefined, { signal }))
+    }
+  }
+}
+
+export { DEFAULT_MAX_RETRY_DELAY, withRetries, parseRetryAfter }
@@ -0,0 +1,100 @@
+// src/robots.js
+import { globToSource } from './glob.js'
+
+const DEFAULT_AGENT_TOKEN = 'page-loader'
+
+/**
+ * Splits robots.txt into groups of rules, each for the user agents listed above it.
+ * @param {string} text
+ * @returns {{ agents: string[], rules: { allow: boolean, path: string }[], crawlDelay: number | null }[]}
+ */
+const parseRobots = (text) => {
+  const groups = []
+  let current = null
+  let readingAgents = false
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim()
+    const separator = line.indexOf(':')
+    if (separator <= 0) {
+      continue
+    }
+    const field = line.slice(0, separator).trim().toLowerCase()
+    const value = line.slice(separator + 1).trim()
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share the rules that follow them
+      if (!readingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null }
+        groups.push(current)
+      }
+      current.agents.push(value.toLowerCase())
+      readingAgents = true
+      continue
+    }
+
+    readingAgents = false
+    if (!current) {
+      continue
+    }
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value })
+    }
+    else if (field === 'crawl-delay' && Number.isFinite(Number(value)) && value) {
+      current.crawlDelay = Number(value)
+    }
+  }
+
+  return groups
+}
+
+// `*` matches any run of characters, a trailing `$` anchors the end of the path
+const compileRule = (path) => {
+  const anchored = path.endsWith('$')
+  return new RegExp(`^${globToSource(anchored ? path.slice(0, -1) : path)}${anchored ? '$' : ''}`)
+}
+
+/**
+ * The robots token of a User-Agent string: its first product name, e.g. `archiver` for `archiver/1.0`.
+ * @param {string | undefined} userAgent
+ */
+const getAgentToken = userAgent => userAgent?.split(/[/\s]/)[0].toLowerCase() || DEFAULT_AGENT_TOKEN
+
+/**
+ * Builds the rules robots.txt sets for one crawler; groups naming it win over the `*` group.
+ * @param {string} text
+ * @param {string | undefined} userAgent
+ * @returns {{ isAllowed: (url: string) => boolean, crawlDelay: number | null }}
+ */
+const createRobotsRules = (text, userAgent) => {
+  const token = getAgentToken(userAgent)
+  const groups = parseRobots(text)
+  const named = groups.filter(({ agents }) => agents.includes(token))
+  const applicable = named.length > 0 ? named : groups.filter(({ agents }) => agents.includes('*'))
+
+  const rules = applicable.flatMap(group => group.rules)
+    .map(rule => ({ ...rule, pattern: compileRule(rule.path) }))
+  const crawlDelay = applicable.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+
+  const isAllowed = (url) => {
+    const { pathname, search } = new URL(url)
+    const path = `${pathname}${search}`
+    if (pathname === '/robots.txt') {
+      return true
+    }
+    // The most specific (longest) matching rule decides; Allow wins a tie
+    const match = rules
+      .filter(({ pattern }) => pattern.test(path))
+      .sort((a, b) => b.path.length - a.path.length || Number(b.allow) - Number(a.allow))[0]
+    return match ? match.allow : true
+  }
+
+  return { isAllowed, crawlDelay }
+}
+
+const ALLOW_ALL = createRobotsRules('', undefined)
+const DISALLOW_ALL = createRobotsRules('User-agent: *\nDisallow: /', undefined)
+
+export {
+  parseRobots, createRobotsRules, getAgentToken, ALLOW_ALL, DISALLOW_ALL,
+}
@@ -0,0 +1,57 @@
+// src/sitemap.js
+import * as cheerio from 'cheerio'
+import { gunzipSync } from 'node:zlib'
+import debug from 'debug'
+
+const log = debug('page-loader')
+
+// Sitemap indexes may nest; this bounds how many sitemaps one seed can pull in
+const MAX_SITEMAPS = 1000
+
+const isGzip = bytes => bytes[0] === 0x1F && bytes[1] === 0x8B
+
+/**
+ * Reads the page and nested sitemap URLs of a sitemap or sitemap index.
+ * @param {Buffer | ArrayBuffer | string} data plain or gzipped XML
+ * @returns {{ urls: string[], sitemaps: string[] }}
+ */
+const parseSitemap = (data) => {
+  const bytes = Buffer.from(data)
+  const xml = (isGzip(bytes) ? gunzipSync(bytes) : bytes).toString('utf-8')
+  const $ = cheerio.load(xml, { xml: true })
+  const locations = selector => $(selector).map((_, element) => $(element).text().trim()).get().filter(Boolean)
+  return {
+    urls: locations('urlset > url > loc'),
+    sitemaps: locations('sitemapindex > sitemap > loc'),
+  }
+}
+
+/**
+ * Collects the page URLs of a sitemap, following sitemap indexes.
+ * @param {string} sitemapUrl
+ * @param {(url: string) => Promise<Buffer | ArrayBuffer | string>} fetchSitemap
+ * @returns {Promise<string[]>} unique page URLs in sitemap order
+ */
+const collectSitemapUrls = async (sitemapUrl, fetchSitemap) => {
+  const urls = new Set()
+  const seen = new Set([sitemapUrl])
+  const queue = [sitemapUrl]
+
+  while (queue.length > 0) {
+    const current = queue.shift()
+    const { urls: pageUrls, sitemaps } = parseSitemap(await fetchSitemap(current))
+    log('Sitemap %s lists %d page(s) and %d sitemap(s)', current, pageUrls.length, sitemaps.length)
+    pageUrls.forEach(pageUrl => urls.add(pageUrl))
+
+    for (const nested of sitemaps) {
+      if (!seen.has(nested) && seen.size < MAX_SITEMAPS) {
+        seen.add(nested)
+        queue.push(nested)
+      }
+    }
+  }
+
+  return [...urls]
+}
+
+export { parseSitemap, collectSitemapUrls }
@@ -0,0 +1,62 @@
+// src/srcset.js
+
+const isWhitespace = char => /\s/.test(char)
+
+/**
+ * Splits a srcset value into image candidates, following the HTML parsing rules
+ * closely enough to keep commas inside URLs and descriptors intact.
+ * @param {string} value
+ * @returns {{ url: string, descriptor: string }[]}
+ */
+const parseSrcset = (value) => {
+  const candidates = []
+  let position = 0
+
+  while (position < value.length) {
+    while (position < value.length && (isWhitespace(value[position]) || value[position] === ',')) {
+      position += 1
+    }
+    if (position >= value.length) {
+      break
+    }
+
+    let start = position
+    while (position < value.length && !isWhitespace(value[position])) {
+      position += 1
+    }
+    let url = value.slice(start, position)
+    let descriptor = ''
+
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '')
+    }
+    else {
+      start = position
+      let inParens = false
+      while (position < value.length && (inParens || value[position] !== ',')) {
+        if (value[position] === '(') {
+          inParens = true
+        }
+        else if (value[position] === ')') {
+          inParens = false
+        }
+        position += 1
+      }
+      descriptor = value.slice(start, position).trim()
+    }
+
+    candidates.push({ url, descriptor })
+  }
+
+  return candidates
+}
+
+/**
+ * @param {{ url: string, descriptor: string }[]} candidates
+ * @returns {string}
+ */
+const serializeSrcset = candidates => candidates
+  .map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url))
+  .join(', ')
+
+export { parseSrcset, serializeSrcset }
@@ -0,0 +1,108 @@
+// src/staging.js
+import {
+  mkdtemp, mkdir, readdir, rename, rm,
+} from 'node:fs/promises'
+import { join } from 'node:path'
+import debug from 'debug'
+import { STORE_DIR_NAME } from './store.js'
+
+const log = debug('page-loader')
+
+// Hidden, so an interrupted run never looks like a capture
+const STAGING_PREFIX = '.page-loader-staging-'
+
+// Inside the output directory, so moving a capture into place is a rename on the same filesystem
+const createStagingDir = async (outputDir) => {
+  try {
+    const stagingDir = await mkdtemp(join(outputDir, STAGING_PREFIX))
+    log('Staging output in: %s', stagingDir)
+    return stagingDir
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Directory not found: ${outputDir}`)
+    }
+    if (error.code === 'EACCES') {
+      throw new Error(`Permission denied: Cannot write to ${outputDir}`)
+    }
+    if (error.code === 'ENOSPC') {
+      throw new Error(`No space left on device: ${outputDir}`)
+    }
+    throw new Error(`File system error: ${error.message}`)
+  }
+}
+
+// Stored assets are shared with earlier captures, so they are added, never removed;
+// an asset that is already there has the same bytes under the same name
+const mergeStore = async (stagedStore, store) => {
+  await mkdir(store, { recursive: true })
+  for (const name of await readdir(stagedStore)) {
+    await rename(join(stagedStore, name), join(store, name))
+  }
+}
+
+const moveAside = async (target, aside) => {
+  try {
+    await rename(target, aside)
+    return true
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return false
+    }
+    throw error
+  }
+}
+
+/**
+ * Moves every staged page, resource folder and archive into the output directory,
+ * replacing what a previous run left there. Resource folders go first, so a committed page
+ * never points at a folder that isn't there yet. If a move fails, the items already moved
+ * are taken back out and the previous capture is restored before the error is rethrown.
+ * The staging directory is left to discardStaging.
+ * @param {string} stagingDir
+ * @param {string} outputDir
+ */
+const commitStaging = async (stagingDir, outputDir) => {
+  const entries = await readdir(stagingDir, { withFileTypes: true })
+  const ordered = [
+    ...entries.filter(entry => entry.isDirectory()),
+    ...entries.filter(entry => !entry.isDirectory()),
+  ].map(entry => entry.name)
+  const replacedDir = join(stagingDir, '.replaced')
+  await mkdir(replacedDir)
+
+  // Stored assets are only ever added, so they need no undo
+  if (ordered.includes(STORE_DIR_NAME)) {
+    await mergeStore(join(stagingDir, STORE_DIR_NAME), join(outputDir, STORE_DIR_NAME))
+  }
+
+  const committed = []
+  try {
+    for (const name of ordered.filter(item => item !== STORE_DIR_NAME)) {
+      // A folder can't be renamed over another one: the old capture steps aside first
+      const item = { name, replaced: await moveAside(join(outputDir, name), join(replacedDir, name)), moved: false }
+      committed.push(item)
+      await rename(join(stagingDir, name), join(outputDir, name))
+      item.moved = true
+    }
+  }
+  catch (error) {
+    log('Commit to %s failed, restoring the previous capture: %s', outputDir, error.message)
+    for (const { name, replaced, moved } of committed.reverse()) {
+      if (moved) {
+        await rename(join(outputDir, name), join(stagingDir, name))
+      }
+      if (replaced) {
+        await rename(join(replacedDir, name), join(outputDir, name))
+      }
+    }
+    throw error
+  }
+
+  log('Committed %d staged item(s) to %s', ordered.length, outputDir)
+}
+
+const discardStaging = stagingDir => rm(stagingDir, { recursive: true, force: true })
+
+export { createStagingDir, commitStaging, discardStaging }
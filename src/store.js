@@ -0,0 +1,112 @@
+// src/store.js
+import {
+  readdir, readFile, writeFile, rename, unlink,
+} from 'node:fs/promises'
+import { join, extname } from 'node:path'
+import debug from 'debug'
+
+const log = debug('page-loader')
+
+// Shared by every page saved into the same output directory
+const STORE_DIR_NAME = '_assets'
+
+const ASSET_NAME_PATTERN = /[0-9a-f]{64}\.[a-zA-Z0-9]+/g
+
+// Stylesheets are the only assets that reference other assets
+const TEXT_ASSET_EXTENSIONS = new Set(['.css'])
+
+/**
+ * @param {string} sha256
+ * @param {string} extension kept so browsers still know what the file is
+ */
+const getAssetName = (sha256, extension) => `${sha256}${extension}`
+
+/**
+ * Writes an asset unless the store already holds the same bytes.
+ * @param {string} storeDir
+ * @param {string} assetName
+ * @param {Buffer | ArrayBuffer | string} content
+ * @returns {Promise<boolean>} whether the file was written
+ */
+const writeAsset = async (storeDir, assetName, content) => {
+  try {
+    await writeFile(join(storeDir, assetName), Buffer.from(content), { flag: 'wx' })
+    return true
+  }
+  catch (error) {
+    if (error.code === 'EEXIST') {
+      log('Already stored: %s', assetName)
+      return false
+    }
+    throw error
+  }
+}
+
+/**
+ * Moves a file downloaded next to the store into it. An asset already stored under
+ * the same name has the same bytes, so replacing it changes nothing.
+ * @param {string} storeDir
+ * @param {string} assetName
+ * @param {string} filepath
+ */
+const storeAsset = (storeDir, assetName, filepath) => rename(filepath, join(storeDir, assetName))
+
+const readIfExists = async (filepath) => {
+  try {
+    return await readFile(filepath, 'utf-8')
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return ''
+    }
+    throw error
+  }
+}
+
+/**
+ * Removes assets that no saved page in outputDir references anymore, directly or through
+ * a stored stylesheet.
+ * @param {string} outputDir
+ * @returns {Promise<string[]>} names of the removed assets
+ */
+const collectGarbage = async (outputDir) => {
+  const storeDir = join(outputDir, STORE_DIR_NAME)
+  let stored
+  try {
+    stored = new Set(await readdir(storeDir))
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return []
+    }
+    throw error
+  }
+
+  const pages = (await readdir(outputDir)).filter(name => extname(name) === '.html')
+  const pending = []
+  for (const page of pages) {
+    pending.push(...(await readIfExists(join(outputDir, page))).match(ASSET_NAME_PATTERN) ?? [])
+  }
+
+  // Follow stylesheets to the fonts and images they use
+  const referenced = new Set()
+  while (pending.length > 0) {
+    const name = pending.pop()
+    if (referenced.has(name) || !stored.has(name)) {
+      continue
+    }
+    referenced.add(name)
+    if (TEXT_ASSET_EXTENSIONS.has(extname(name))) {
+      pending.push(...(await readIfExists(join(storeDir, name))).match(ASSET_NAME_PATTERN) ?? [])
+    }
+  }
+
+  const removed = [...stored].filter(name => !referenced.has(name))
+  await Promise.all(removed.map(name => unlink(join(storeDir, name))))
+  log('Garbage collection removed %d of %d asset(s)', removed.length, stored.size)
+  return removed
+}
+
+export {
+  STORE_DIR_NAME, getAssetName, writeAsset, storeAsset, collectGarbage,
+}
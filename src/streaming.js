@@ -0,0 +1,126 @@
+// src/streaming.js
+import { createWriteStream } from 'node:fs'
+import { rm } from 'node:fs/promises'
+import { Transform } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { createHash } from 'node:crypto'
+import zlib from 'node:zlib'
+import debug from 'debug'
+
+const log = debug('page-loader')
+
+const RESOURCE_TOO_LARGE = 'ERR_RESOURCE_TOO_LARGE'
+const RESPONSE_TRUNCATED = 'ERR_RESPONSE_TRUNCATED'
+
+// Enough of the start of a file to tell its type
+const HEAD_LENGTH = 512
+
+const DECODERS = {
+  'gzip': () => zlib.createUnzip(),
+  'x-gzip': () => zlib.createUnzip(),
+  'deflate': () => zlib.createUnzip(),
+  'br': () => zlib.createBrotliDecompress(),
+}
+
+const createDecoders = (contentEncoding) => {
+  const encoding = contentEncoding?.trim().toLowerCase()
+  if (!encoding || encoding === 'identity') {
+    return []
+  }
+  if (!DECODERS[encoding]) {
+    log('Unknown content encoding %s, saving the body as received', encoding)
+    return []
+  }
+  return [DECODERS[encoding]()]
+}
+
+const tooLarge = (url, maxSize) => {
+  const error = new Error(`Resource is larger than ${maxSize} bytes: ${url}`)
+  error.code = RESOURCE_TOO_LARGE
+  return error
+}
+
+const truncated = (url, received, expected) => {
+  const error = new Error(`Truncated response: ${url} (received ${received} of ${expected} bytes)`)
+  error.code = RESPONSE_TRUNCATED
+  return error
+}
+
+const tap = onChunk => new Transform({
+  transform(chunk, encoding, callback) {
+    try {
+      onChunk(chunk)
+      callback(null, chunk)
+    }
+    catch (error) {
+      callback(error)
+    }
+  },
+})
+
+/**
+ * Writes a response body to a file as it arrives, decoding it and hashing the decoded bytes on the way,
+ * so even large files never sit in memory. The file is removed again if the transfer fails.
+ * @param {import('node:stream').Readable} body the body as received, still content-encoded
+ * @param {string} filepath
+ * @param {object} options
+ * @param {string} options.url used in error messages
+ * @param {Record<string, string>} [options.headers] response headers
+ * @param {number} [options.maxSize] fail with RESOURCE_TOO_LARGE past this many decoded bytes
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ filepath: string, size: number, sha256: string, head: Buffer }>}
+ */
+const writeBody = async (body, filepath, {
+  url, headers = {}, maxSize, signal,
+}) => {
+  const declaredLength = Number(headers['content-length'] ?? Number.NaN)
+  const contentLength = Number.isInteger(declaredLength) ? declaredLength : null
+  if (maxSize !== undefined && contentLength > maxSize && !headers['content-encoding']) {
+    body.destroy()
+    throw tooLarge(url, maxSize)
+  }
+
+  let received = 0
+  let size = 0
+  const hash = createHash('sha256')
+  const headChunks = []
+
+  const countReceived = tap((chunk) => {
+    received += chunk.length
+  })
+  const measure = tap((chunk) => {
+    if (size < HEAD_LENGTH) {
+      headChunks.push(chunk.subarray(0, HEAD_LENGTH - size))
+    }
+    size += chunk.length
+    if (maxSize !== undefined && size > maxSize) {
+      throw tooLarge(url, maxSize)
+    }
+    hash.update(chunk)
+  })
+
+  try {
+    await pipeline(body, countReceived, ...createDecoders(headers['content-encoding']), measure, createWriteStream(filepath), { signal })
+    // Content-Length counts the bytes on the wire, before decoding
+    if (contentLength !== null && received !== contentLength) {
+      throw truncated(url, received, contentLength)
+    }
+  }
+  catch (error) {
+    await rm(filepath, { force: true })
+    // A connection dropped mid-transfer surfaces as a bare socket error
+    const ownError = error.code === RESOURCE_TOO_LARGE || error.code === RESPONSE_TRUNCATED
+    if (!ownError && !signal?.aborted && contentLength !== null && received < contentLength) {
+      throw truncated(url, received, contentLength)
+    }
+    throw error
+  }
+
+  return {
+    filepath, size, sha256: hash.digest('hex'), head: Buffer.concat(headChunks),
+  }
+}
+
+export {
+  RESOURCE_TOO_LARGE, RESPONSE_TRUNCATED, tooLarge, writeBody,
+}
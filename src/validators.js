@@ -0,0 +1,86 @@
+// src/validators.js
+import { createReadStream } from 'node:fs'
+import { readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { pipeline } from 'node:stream/promises'
+import { createHash } from 'node:crypto'
+import debug from 'debug'
+
+const log = debug('page-loader')
+
+const SIDECAR_NAME = '.page-loader.json'
+const SIDECAR_VERSION = 1
+
+/**
+ * @param {Buffer | ArrayBuffer | string} data
+ * @returns {string} hex SHA-256 of the data
+ */
+const hashContent = data => createHash('sha256').update(Buffer.from(data)).digest('hex')
+
+/**
+ * Reads the validators stored by a previous run; a missing or unreadable sidecar means a fresh start.
+ * @param {string} resourceDir
+ * @returns {Promise<Map<string, { fileName: string, etag?: string, lastModified?: string, sha256: string }>>}
+ */
+const loadValidators = async (resourceDir) => {
+  const sidecarPath = join(resourceDir, SIDECAR_NAME)
+  try {
+    const { version, resources } = JSON.parse(await readFile(sidecarPath, 'utf-8'))
+    if (version !== SIDECAR_VERSION) {
+      log('Ignoring validators with unknown version %s: %s', version, sidecarPath)
+      return new Map()
+    }
+    return new Map(Object.entries(resources))
+  }
+  catch (error) {
+    if (error.code !== 'ENOENT') {
+      log('Ignoring unreadable validators %s: %s', sidecarPath, error.message)
+    }
+    return new Map()
+  }
+}
+
+/**
+ * @param {string} resourceDir
+ * @param {Map<string, object>} validators
+ */
+const saveValidators = async (resourceDir, validators) => {
+  const sidecar = { version: SIDECAR_VERSION, resources: Object.fromEntries(validators) }
+  await writeFile(join(resourceDir, SIDECAR_NAME), `${JSON.stringify(sidecar, null, 2)}\n`)
+}
+
+/**
+ * Builds If-None-Match / If-Modified-Since headers from stored validators.
+ * @param {{ etag?: string, lastModified?: string }} entry
+ * @returns {Record<string, string>}
+ */
+const getConditionalHeaders = (entry) => {
+  const headers = {}
+  if (entry.etag) {
+    headers['If-None-Match'] = entry.etag
+  }
+  if (entry.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified
+  }
+  return headers
+}
+
+/**
+ * Checks that a previously saved file is still on disk and unchanged. The file is hashed
+ * as it is read, so a large resource never sits in memory.
+ * @param {string} filepath
+ * @param {string} sha256
+ * @returns {Promise<boolean>}
+ */
+const isFileIntact = async (filepath, sha256) => {
+  const hash = createHash('sha256')
+  try {
+    await pipeline(createReadStream(filepath), hash)
+    return hash.digest('hex') === sha256
+  }
+  catch {
+    return false
+  }
+}
+
+export { hashContent, loadValidators, saveValidators, getConditionalHeaders, isFileIntact }
@@ -0,0 +1,120 @@
+// src/warc.js
+import { open } from 'node:fs/promises'
+import { basename } from 'node:path'
+import { STATUS_CODES } from 'node:http'
+import { randomUUID } from 'node:crypto'
+import { gzipSync } from 'node:zlib'
+import debug from 'debug'
+
+const log = debug('page-loader')
+
+const CRLF = '\r\n'
+
+// The stored body is already decoded, so headers describing the wire encoding would lie
+const DROPPED_RESPONSE_HEADERS = new Set(['content-encoding', 'transfer-encoding', 'content-length'])
+
+const formatHeaders = headers => Object.entries(headers)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(item => `${name}: ${item}${CRLF}`))
+  .join('')
+
+const buildRequestBlock = (config, targetUri) => {
+  const url = new URL(targetUri)
+  const headers = { Host: url.host, ...Object.fromEntries(Object.entries(config.headers ?? {})) }
+  const method = (config.method ?? 'get').toUpperCase()
+  return Buffer.from(`${method} ${url.pathname}${url.search} HTTP/1.1${CRLF}${formatHeaders(headers)}${CRLF}`)
+}
+
+const buildResponseBlock = (response) => {
+  const body = Buffer.from(response.data ?? '')
+  const headers = Object.fromEntries(Object.entries(response.headers ?? {})
+    .filter(([name]) => !DROPPED_RESPONSE_HEADERS.has(name.toLowerCase())))
+  headers['content-length'] = body.length
+
+  const statusText = response.statusText || STATUS_CODES[response.status] || ''
+  const head = `HTTP/1.1 ${response.status} ${statusText}${CRLF}${formatHeaders(headers)}${CRLF}`
+  return Buffer.concat([Buffer.from(head), body])
+}
+
+const buildRecord = (fields, block) => {
+  const head = [
+    'WARC/1.1',
+    ...Object.entries(fields).map(([name, value]) => `${name}: ${value}`),
+    `Content-Length: ${block.length}`,
+  ].join(CRLF)
+  return Buffer.concat([Buffer.from(`${head}${CRLF}${CRLF}`), block, Buffer.from(`${CRLF}${CRLF}`)])
+}
+
+const createRecordId = () => `<urn:uuid:${randomUUID()}>`
+
+/**
+ * Opens a WARC file and returns a writer for the HTTP exchanges of one run.
+ * Records are appended in the order they are written; with gzip each record
+ * becomes its own gzip member, as archive tools expect from .warc.gz files.
+ * @param {string} filepath
+ * @param {{ gzip?: boolean, info?: Record<string, string> }} [options]
+ */
+const createWarcWriter = async (filepath, options = {}) => {
+  const { gzip = false, info = {} } = options
+  const file = await open(filepath, 'w')
+  let pending = Promise.resolve()
+  let writeError = null
+  let records = 0
+
+  const append = (fields, block) => {
+    const record = buildRecord({
+      'WARC-Record-ID': createRecordId(),
+      'WARC-Date': new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+      ...fields,
+    }, block)
+    records += 1
+    // Writes are chained so records never interleave; the first failure is reported on close
+    pending = pending
+      .then(() => file.write(gzip ? gzipSync(record) : record))
+      .catch((error) => {
+        writeError ??= error
+      })
+  }
+
+  const infoBlock = Buffer.from(Object.entries(info).map(([name, value]) => `${name}: ${value}${CRLF}`).join(''))
+  append({
+    'WARC-Type': 'warcinfo',
+    'WARC-Filename': basename(filepath),
+    'Content-Type': 'application/warc-fields',
+  }, infoBlock)
+
+  /**
+   * Records an axios response together with the request that produced it.
+   * After a redirect that is the last request, so the record holds the URL that actually answered.
+   * @param {import('axios').AxiosResponse} response
+   */
+  const writeExchange = (response) => {
+    const targetUri = response.request?.res?.responseUrl ?? response.config.url
+    const responseId = createRecordId()
+    append({
+      'WARC-Type': 'response',
+      'WARC-Record-ID': responseId,
+      'WARC-Target-URI': targetUri,
+      'Content-Type': 'application/http;msgtype=response',
+    }, buildResponseBlock(response))
+    append({
+      'WARC-Type': 'request',
+      'WARC-Target-URI': targetUri,
+      'WARC-Concurrent-To': responseId,
+      'Content-Type': 'application/http;msgtype=request',
+    }, buildRequestBlock(response.config, targetUri))
+  }
+
+  const close = async () => {
+    await pending
+    await file.close()
+    if (writeError) {
+      throw writeError
+    }
+    log('WARC archive written: %s (%d records)', filepath, records)
+  }
+
+  return { writeExchange, close }
+}
+
+export default createWarcWriter